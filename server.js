@@ -1,78 +1,609 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { GEMS_DIR, CATALOG_FILE, buildCatalog, listGemFiles, findGemByRoute, catalogLabels } = require('./server/catalog');
+const { watchDirectory } = require('./server/gemwatcher');
+const { precompress, sendEntry } = require('./server/delivery');
+const { servedDirsFromEnv, resolveRequestPath } = require('./server/resolver');
+const { HASHED_DIRS, SHELL_FILES, buildAssetManifest, buildShellAssetManifest, buildShellManifest, rewriteTemplate } = require('./server/assets');
+const { decodeGem } = require('./server/gemdecoder');
+const logger = require('./server/logger');
+const metrics = require('./server/metrics');
+const { LRUCache } = require('./server/lrucache');
 
-// Add a file cache to store loaded gem files
-const fileCache = {};
+// Production mode serves content-hashed assets with long-lived caching;
+// development mode keeps the no-store / cache-busting redirect behavior
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Top-level directories the static file server may read from
+const servedDirs = servedDirsFromEnv();
+
+// Request methods the server answers
+const ALLOWED_METHODS = ['GET', 'HEAD'];
+
+// Methods counted under their own name in the request metrics; the rest count as OTHER,
+// so clients can't create label values at will
+const METRIC_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'CONNECT', 'OPTIONS', 'TRACE', 'PATCH'];
+
+// Byte budget for the file cache, including compressed variants (default 256 MB)
+const FILE_CACHE_MAX_BYTES = parseInt(process.env.FILE_CACHE_MAX_BYTES, 10) || 256 * 1024 * 1024;
+
+// Token for the /admin endpoints. Without one they only answer local requests in development
+// and stay disabled in production, where a proxy on the same host makes every request local.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Add a file cache to store loaded gem files ({ data, etag, encoded } keyed by file path,
+// where encoded holds the pre-compressed br/gzip variants)
+const fileCache = new LRUCache({
+    maxBytes: FILE_CACHE_MAX_BYTES,
+    sizeOf: entry => Object.values(entry.encoded || {})
+        .reduce((total, variant) => total + variant.length, entry.data.length)
+});
+
+// Content-hash ETags of every gem on disk, kept even when the file itself is evicted
+const gemETags = new Map();
+
+// Shared gem validator (shared_js/gemvalidator.mjs, an ES module), loaded by start()
+let gemValidator = null;
+
+// Validation results of gem files by path, dropped when a file changes
+const gemValidations = new Map();
+
+// Gem catalog served at /api/gems, built by start() once the validator is loaded
+let catalog = { default: null, gems: [] };
+
+/**
+ * Create a cache entry with a content-hash ETag and compressed variants
+ */
+function createCacheEntry(data, onCompressed) {
+    const hash = crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+    return precompress({ data, etag: `"${hash}"` }, onCompressed);
+}
+
+/**
+ * Decode and validate a gem file, logging any problems.
+ * Returns the validator's result ({ valid, errors, warnings }).
+ */
+function validateGemFile(filePath, content) {
+    let result;
+    try {
+        result = gemValidator.validateGem(decodeGem(content || fs.readFileSync(filePath)));
+    } catch (error) {
+        result = {
+            valid: false,
+            errors: [{ code: gemValidator.GemValidationCodes.INVALID_DOCUMENT, message: error.message }],
+            warnings: []
+        };
+    }
+
+    if (!result.valid) {
+        logger.error('Invalid gem file', { path: filePath, errors: result.errors });
+    } else if (result.warnings.length > 0) {
+        logger.warn('Gem file has warnings', { path: filePath, warnings: result.warnings });
+    }
+
+    gemValidations.set(filePath, result);
+    return result;
+}
+
+/**
+ * Whether a gem file in the gems directory passed validation (validated on first use)
+ */
+function isValidGemFile(file) {
+    const filePath = './' + path.posix.join(GEMS_DIR, file);
+    const result = gemValidations.get(filePath) || validateGemFile(filePath);
+    return result.valid;
+}
+
+/**
+ * Store file contents in the file cache, accounting for compressed variants as they arrive
+ */
+function cacheFile(filePath, data) {
+    const entry = createCacheEntry(data, () => {
+        if (fileCache.peek(filePath) === entry) {
+            fileCache.updateSize(filePath);
+        }
+    });
+    fileCache.set(filePath, entry);
+    if (path.extname(filePath) === '.gem') {
+        gemETags.set(filePath, entry.etag);
+    }
+    return entry;
+}
+
+/**
+ * Read a gem file into the cache, replacing any previous version
+ */
+function cacheGemFile(filePath) {
+    try {
+        const content = fs.readFileSync(filePath);
+        cacheFile(filePath, content);
+        logger.info('Cached gem file', { path: filePath, bytes: content.length });
+    } catch (error) {
+        logger.error('Error caching gem file', { path: filePath, error: error.message });
+    }
+}
+
+// File path of the pinned default gem
+let pinnedGemPath = null;
+
+/**
+ * Pin the default gem so it's never evicted from the file cache
+ */
+function pinDefaultGem() {
+    const defaultGem = catalog.gems.find(gem => gem.id === catalog.default);
+    const defaultPath = defaultGem ? '.' + defaultGem.url : null;
+    if (defaultPath === pinnedGemPath) return;
+
+    if (pinnedGemPath) {
+        fileCache.unpin(pinnedGemPath);
+    }
+    if (defaultPath) {
+        fileCache.pin(defaultPath);
+    }
+    pinnedGemPath = defaultPath;
+}
+
+/**
+ * Catalog with each gem URL versioned by its content hash, so browsers holding an
+ * immutable copy of an older version fetch the new file after it changes on disk
+ */
+function versionedCatalog() {
+    return {
+        ...catalog,
+        gems: catalog.gems.map(gem => {
+            const etag = gemETags.get('.' + gem.url);
+            return etag ? { ...gem, url: `${gem.url}?v=${etag.replace(/"/g, '')}` } : gem;
+        })
+    };
+}
+
+/**
+ * Remove a deleted gem file from the cache
+ */
+function evictGemFile(filePath) {
+    gemETags.delete(filePath);
+    gemValidations.delete(filePath);
+    if (fileCache.delete(filePath)) {
+        logger.info('Evicted from cache', { path: filePath });
+    }
+}
 
 // Preload gem files to ensure consistent performance
 function preloadGemFiles() {
-    const gemFiles = [
-        // Load WARP21 first as it's the default/most frequently accessed gem
-        './assets/gems/aphex-twin-selected-ambient-works-ii.gem',
-        './assets/gems/flying-lotus-cosmogramma.gem',
-        './assets/gems/one-oh-trix-point-never-magic-otp.gem'
-    ];
+    const defaultGem = catalog.gems.find(gem => gem.id === catalog.default);
+
+    const defaultPath = defaultGem ? '.' + defaultGem.url : null;
+
+    // Scan the gems directory, loading the default gem first as it's the most frequently accessed one
+    const gemFiles = listGemFiles()
+        .map(file => './' + path.posix.join(GEMS_DIR, file))
+        .sort((a, b) => (b === defaultPath) - (a === defaultPath));
     
     gemFiles.forEach(filePath => {
-        try {
-            console.log('Preloading gem file:', filePath);
-            const content = fs.readFileSync(filePath);
-            fileCache[filePath] = content;
-            console.log('Successfully cached:', filePath, `(${content.length} bytes)`);
-        } catch (error) {
-            console.error('Error preloading gem file:', filePath, error);
+        logger.debug('Preloading gem file', { path: filePath });
+        cacheGemFile(filePath);
+    });
+}
+
+/**
+ * Keep the cache and catalog in sync with the gems directory, validating new and
+ * changed gems before they are listed
+ */
+function watchGems() {
+    watchDirectory(GEMS_DIR, (filePath, exists) => {
+        const isGemFile = path.extname(filePath) === '.gem';
+        if (!isGemFile && path.normalize(filePath) !== path.normalize(CATALOG_FILE)) return;
+
+        if (isGemFile) {
+            if (exists) {
+                logger.info('Gem file added or changed', { path: filePath });
+                gemValidations.delete(filePath);
+                cacheGemFile(filePath);
+            } else {
+                logger.info('Gem file removed', { path: filePath });
+                evictGemFile(filePath);
+            }
         }
+
+        catalog = buildCatalog({ isValid: isValidGemFile });
+        pinDefaultGem();
+        logger.info('Gem catalog updated', { gems: catalog.gems.map(gem => gem.id) });
     });
 }
 
-// Preload gem files at startup
-preloadGemFiles();
+// Content-hashed copies of shared/ and shared_js/ plus the rendered pages
+// (production mode only), as cache entries keyed by file path
+const productionAssets = new Map();
+
+// Pages rendered with the asset versions in production
+const PAGES = ['./index.html', './offline.html'];
+
+// App shell listed for the service worker (built once in production)
+let productionShell = null;
+
+// Same in development, rebuilt after shell files change (see watchShell())
+let developmentShell = null;
+
+/**
+ * Hash the shared assets and render the pages with their versions
+ */
+function buildProductionAssets() {
+    const startTime = Date.now();
+    const manifest = buildAssetManifest();
+    manifest.forEach((asset, filePath) => {
+        productionAssets.set(filePath, precompress({ data: asset.data, etag: `"${asset.hash}"` }));
+    });
+
+    productionShell = buildShellManifest(manifest, { versioned: true });
+
+    PAGES.forEach(page => {
+        const html = rewriteTemplate(fs.readFileSync(page, 'utf8'), manifest, productionShell.version);
+        productionAssets.set(page, createCacheEntry(Buffer.from(html, 'utf8')));
+    });
+
+    logger.info('Built production assets', { count: productionAssets.size, durationMs: Date.now() - startTime });
+}
+
+if (isProduction) {
+    buildProductionAssets();
+}
 
 const mimeTypes = {
     '.html': 'text/html',
     '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
     '.css': 'text/css',
     '.json': 'application/json',
     '.gem': 'application/octet-stream',
     '.png': 'image/png'
 };
 
-// Add Date.now() as a query parameter to bust caches
+// Add the shell version as a query parameter to bust caches; the service worker
+// serves URLs carrying its own version from the shell it precached
 function processTemplate(content, contentType) {
   if (contentType === 'text/html') {
     // Simple template processing for cache busting
-    return content.replace(/<%=Date\.now\(\)%>/g, Date.now());
+    return content.replace(/<%=shellVersion%>/g, shellManifest().version);
   }
   return content;
 }
 
+const statusMessages = {
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    404: 'Not Found',
+    405: 'Method Not Allowed',
+    500: 'Internal Server Error'
+};
+
+/**
+ * Send a plain-text error response without exposing any filesystem details
+ */
+function sendError(res, status, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+    res.end(statusMessages[status] || 'Error');
+}
+
+metrics.defineCounter('gem_server_requests_total', 'HTTP requests by method and status');
+metrics.defineCounter('gem_server_bytes_served_total', 'Response body bytes sent');
+metrics.defineCounter('gem_server_page_views_total', 'Pages served by requested path (/ and gem page routes)');
+metrics.defineCounter('gem_server_gem_downloads_total', 'Gem file responses with a body (200 and 206) by gem');
+metrics.defineCounter('gem_server_gem_bytes_served_total', 'Gem file bytes sent by gem');
+metrics.defineGauge('gem_server_file_cache_entries', 'Number of files in the file cache',
+    () => fileCache.size);
+metrics.defineGauge('gem_server_file_cache_bytes', 'Bytes held in the file cache, including compressed variants',
+    () => fileCache.bytes);
+metrics.defineGauge('gem_server_file_cache_max_bytes', 'Byte budget of the file cache',
+    () => fileCache.maxBytes);
+metrics.defineCounter('gem_server_file_cache_evictions_total', 'Entries evicted from the file cache to stay within budget',
+    () => fileCache.stats.evictions);
+
+/**
+ * Catalog id for a gem file path, falling back to the file name for unlisted files
+ */
+function gemIdForPath(filePath) {
+    const gem = catalog.gems.find(gem => '.' + gem.url.split('?')[0] === filePath);
+    return gem ? gem.id : path.basename(filePath, '.gem');
+}
+
+/**
+ * Count response bytes and write an access log line and metrics once the response closes.
+ * Handlers fill in access.cache ('hit' / 'miss'), access.filePath and access.page (a page
+ * route served as index.html) as they go. The URL is logged as requested, before any
+ * handler rewrites req.url.
+ */
+function trackRequest(req, res, access) {
+    const startTime = process.hrtime.bigint();
+    const originalUrl = req.url;
+    let bytes = 0;
+
+    const countChunk = (chunk, encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        }
+    };
+
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding, callback) {
+        countChunk(chunk, encoding);
+        return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+        countChunk(chunk, encoding);
+        return end.call(this, chunk, encoding, callback);
+    };
+
+    res.on('close', () => {
+        // Node sends no body for HEAD requests
+        const bytesSent = req.method === 'HEAD' ? 0 : bytes;
+        const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+        logger.info('request', {
+            method: req.method,
+            path: originalUrl,
+            status: res.statusCode,
+            bytes: bytesSent,
+            durationMs: Math.round(durationMs * 100) / 100,
+            cache: access.cache,
+            aborted: !res.writableFinished,
+            userAgent: req.headers['user-agent'] || null
+        });
+
+        const method = METRIC_METHODS.includes(req.method) ? req.method : 'OTHER';
+        metrics.increment('gem_server_requests_total', { method, status: String(res.statusCode) });
+        metrics.increment('gem_server_bytes_served_total', {}, bytesSent);
+
+        if (access.page && res.statusCode === 200) {
+            metrics.increment('gem_server_page_views_total', { path: originalUrl.split('?')[0] });
+        }
+
+        if (access.filePath && path.extname(access.filePath) === '.gem' && (res.statusCode === 200 || res.statusCode === 206)) {
+            const gem = gemIdForPath(access.filePath);
+            metrics.increment('gem_server_gem_downloads_total', { gem });
+            metrics.increment('gem_server_gem_bytes_served_total', { gem }, bytesSent);
+        }
+    });
+}
+
+/**
+ * Whether a path has the shape of a gem page route: two segments, neither with a
+ * file extension, and the first not a served directory
+ */
+function isPageRoute(requestPath) {
+    const match = /^\/([^/.]+)\/([^/.]+)\/?$/.exec(requestPath);
+    return Boolean(match) && !servedDirs.includes(match[1]);
+}
+
+/**
+ * Send the page with a 404 status for routes naming no known gem; the page
+ * itself renders its not-found view
+ */
+function sendNotFoundPage(res) {
+    const send = (html) => {
+        res.writeHead(404, { 'Content-Type': 'text/html', 'Cache-Control': 'no-cache' });
+        res.end(html);
+    };
+
+    const entry = isProduction ? productionAssets.get('./index.html') : null;
+    if (entry) {
+        send(entry.data);
+        return;
+    }
+
+    fs.readFile('./index.html', 'utf8', (err, data) => {
+        if (err) {
+            logger.error('Error reading file', { path: './index.html', error: err.message });
+            sendError(res, 500);
+            return;
+        }
+        send(processTemplate(data, 'text/html'));
+    });
+}
+
+/**
+ * App shell for the service worker: { version, files }. Development rebuilds it after
+ * edits to any shell file so they roll out a new service worker.
+ */
+function shellManifest() {
+    if (productionShell) return productionShell;
+
+    if (!developmentShell) {
+        developmentShell = buildShellManifest(buildShellAssetManifest());
+    }
+    return developmentShell;
+}
+
+/**
+ * Rebuild the development shell when a file in the hashed directories or a page changes
+ */
+function watchShell() {
+    const pages = SHELL_FILES.map(filePath => path.normalize(filePath));
+    const invalidate = (filePath) => {
+        if (!developmentShell) return;
+        logger.debug('Shell file changed', { path: filePath });
+        developmentShell = null;
+    };
+
+    HASHED_DIRS.forEach(dir => watchDirectory(dir, invalidate));
+    watchDirectory('.', (filePath) => {
+        if (pages.includes(path.normalize(filePath))) {
+            invalidate(filePath);
+        }
+    });
+}
+
+/**
+ * Send the service worker with the current shell version. It is served from the root
+ * so its scope covers every page route, and always revalidated so updates are seen.
+ */
+function sendServiceWorker(res) {
+    fs.readFile('./sw.js', 'utf8', (err, data) => {
+        if (err) {
+            logger.error('Error reading file', { path: './sw.js', error: err.message });
+            sendError(res, 500);
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/javascript', 'Cache-Control': 'no-cache' });
+        res.end(data.replace(/<%=shellVersion%>/g, shellManifest().version));
+    });
+}
+
+/**
+ * Check access to the /admin endpoints: a matching bearer token when ADMIN_TOKEN
+ * is set, otherwise (only reached in development) a request from the local machine
+ */
+function isAdminRequest(req) {
+    if (ADMIN_TOKEN) {
+        return req.headers.authorization === `Bearer ${ADMIN_TOKEN}`;
+    }
+    const address = req.socket.remoteAddress;
+    return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+/**
+ * Handle the file cache admin endpoints:
+ *   GET  /admin/cache              list entries and statistics
+ *   POST /admin/cache/flush        flush all unpinned entries
+ *   POST /admin/cache/flush?path=  flush a single entry (pinned or not)
+ */
+function handleAdmin(req, res, urlPath) {
+    // Disabled in production until a token is set
+    if (isProduction && !ADMIN_TOKEN) {
+        sendError(res, 404);
+        return;
+    }
+    if (!isAdminRequest(req)) {
+        sendError(res, 401);
+        return;
+    }
+
+    const sendJSON = (body) => {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(body, null, 2));
+    };
+
+    if (urlPath === '/admin/cache') {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendError(res, 405, { 'Allow': 'GET, HEAD' });
+            return;
+        }
+        sendJSON({ stats: fileCache.stats, entries: fileCache.entries() });
+        return;
+    }
+
+    if (urlPath === '/admin/cache/flush') {
+        if (req.method !== 'POST') {
+            sendError(res, 405, { 'Allow': 'POST' });
+            return;
+        }
+
+        const target = new URLSearchParams(req.url.split('?')[1] || '').get('path');
+        const flushed = target
+            ? (fileCache.delete('.' + target) || fileCache.delete(target) ? 1 : 0)
+            : fileCache.clear();
+        logger.info('Flushed file cache', { path: target, flushed });
+        sendJSON({ flushed, stats: fileCache.stats });
+        return;
+    }
+
+    sendError(res, 404);
+}
+
 const server = http.createServer((req, res) => {
-    // Log the request with timestamp
-    const timestamp = new Date().toISOString().slice(11, 23);
-    console.log(`[${timestamp}] Request:`, req.url);
+    // Track the request for access logs and metrics
+    const access = { cache: null, filePath: null, page: false };
+    trackRequest(req, res, access);
 
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
 
+    // Admin endpoints have their own methods and access check
+    const requestPath = req.url.split('?')[0];
+    if (requestPath.startsWith('/admin/')) {
+        handleAdmin(req, res, requestPath);
+        return;
+    }
+
+    // Only GET and HEAD are served (Node drops the body of HEAD responses itself)
+    if (!ALLOWED_METHODS.includes(req.method)) {
+        sendError(res, 405, { 'Allow': ALLOWED_METHODS.join(', ') });
+        return;
+    }
+
+    // Serve metrics in the Prometheus text format
+    if (requestPath === '/metrics') {
+        res.writeHead(200, {
+            'Content-Type': 'text/plain; version=0.0.4',
+            'Cache-Control': 'no-store'
+        });
+        res.end(metrics.renderMetrics());
+        return;
+    }
+
+    // Serve the gem catalog
+    if (requestPath === '/api/gems') {
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(JSON.stringify(versionedCatalog()));
+        return;
+    }
+
+    // Serve the app shell list for the service worker's precache
+    if (requestPath === '/api/shell') {
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(shellManifest()));
+        return;
+    }
+
+    // Serve the service worker
+    if (requestPath === '/sw.js') {
+        sendServiceWorker(res);
+        return;
+    }
+
     // Handle root path
-    if (req.url === '/') {
-        req.url = '/warp/21';
+    if (requestPath === '/') {
+        req.url = '/index.html';
+        access.page = true;
     }
 
-    // Handle /warp/XX paths
-    if (req.url.match(/^\/warp\/\d+$/)) {
+    // Handle gem page routes (/:label/:catalogNumber and /gem/:slug)
+    if (isPageRoute(requestPath)) {
+        if (!findGemByRoute(catalog, requestPath)) {
+            sendNotFoundPage(res);
+            return;
+        }
         req.url = '/index.html';
+        access.page = true;
     }
 
-    // Get the file path, removing any /warp/ prefix from non-HTML requests
-    let filePath = '.' + req.url;
-    if (!req.url.endsWith('.html')) {
-        filePath = '.' + req.url.replace(/^\/warp\//, '/');
+    // Get the request path, removing any /:label/ or /gem/ prefix from non-HTML requests
+    let urlPath = requestPath;
+    if (!urlPath.endsWith('.html')) {
+        const prefixes = ['gem', ...catalogLabels(catalog)].filter(prefix => !servedDirs.includes(prefix));
+        const prefix = urlPath.split('/')[1];
+        if (prefixes.includes(prefix) && urlPath.split('/').length > 3) {
+            urlPath = urlPath.slice(prefix.length + 1);
+        }
     }
 
-    // Remove any query parameters from the file path
-    filePath = filePath.split('?')[0];
+    // Resolve the path inside the project root and the served directories
+    const resolved = resolveRequestPath(urlPath, servedDirs);
+    if (resolved.status) {
+        logger.debug('Rejected path', { path: req.url, status: resolved.status });
+        sendError(res, resolved.status);
+        return;
+    }
+    let filePath = resolved.filePath;
+    access.filePath = filePath;
     
     // Special handling for shared_js files
     if (filePath.includes('/shared_js/')) {
@@ -83,11 +614,12 @@ const server = http.createServer((req, res) => {
             const requestedFile = path.basename(filePath).toLowerCase();
             const matchingFile = files.find(f => f.toLowerCase() === requestedFile);
             if (matchingFile) {
-                filePath = path.join(dir, matchingFile);
-                console.log('Found matching file:', filePath);
+                filePath = `${dir}/${matchingFile}`;
+                access.filePath = filePath;
+                logger.debug('Found matching file', { path: filePath });
             }
         } catch (err) {
-            console.log('Error reading shared_js directory:', err);
+            logger.error('Error reading shared_js directory', { error: err.message });
         }
     }
 
@@ -97,9 +629,23 @@ const server = http.createServer((req, res) => {
 
     // Set up response headers with caching directives
     const headers = { 'Content-Type': contentType };
+
+    // In production, serve hashed assets: immutable when the URL carries the
+    // current hash, revalidated through the ETag otherwise
+    if (isProduction && productionAssets.has(filePath)) {
+        const entry = productionAssets.get(filePath);
+        const version = new URLSearchParams(req.url.split('?')[1] || '').get('v');
+        const isCurrentVersion = version && `"${version}"` === entry.etag;
+        headers['Cache-Control'] = isCurrentVersion && contentType !== 'text/html'
+            ? 'public, max-age=31536000, immutable'
+            : 'no-cache';
+        access.cache = 'hit';
+        sendEntry(req, res, entry, headers);
+        return;
+    }
     
     // Disable caching for JS files for easier testing in local development
-    if (extname === '.js') {
+    if (extname === '.js' || extname === '.mjs') {
         headers['Cache-Control'] = 'no-store, no-cache, must-revalidate, max-age=0';
         headers['Pragma'] = 'no-cache';
         headers['Expires'] = '0';
@@ -108,7 +654,7 @@ const server = http.createServer((req, res) => {
         if (req.url.indexOf('?') === -1) {
             const cacheBuster = Date.now();
             const newUrl = `${req.url}?v=${cacheBuster}`;
-            console.log(`Redirecting JS request to: ${newUrl}`);
+            logger.debug('Redirecting JS request', { location: newUrl });
             res.writeHead(302, { 'Location': newUrl });
             res.end();
             return;
@@ -117,7 +663,6 @@ const server = http.createServer((req, res) => {
         // Cache gem files for 1 year (31536000 seconds)
         headers['Cache-Control'] = 'public, max-age=31536000, immutable';
         headers['Expires'] = new Date(Date.now() + 31536000 * 1000).toUTCString();
-        headers['ETag'] = `"${path.basename(filePath)}-v1"`; // Simple ETag
     } else {
         // Short cache for other files
         headers['Cache-Control'] = 'public, max-age=3600'; // 1 hour
@@ -126,32 +671,31 @@ const server = http.createServer((req, res) => {
     // Special handling for gem files - prioritize cached versions
     if (extname === '.gem') {
         // Check if this file is in cache
-        if (fileCache[filePath]) {
-            console.log(`[${timestamp}] Serving cached gem file:`, filePath, `(${fileCache[filePath].length} bytes)`);
-            res.writeHead(200, headers);
-            res.end(fileCache[filePath]);
+        const entry = fileCache.get(filePath);
+        if (entry) {
+            access.cache = 'hit';
+            sendEntry(req, res, entry, headers);
             return;
         }
     }
     
     // Check if any file is in cache
-    if (fileCache[filePath]) {
-        console.log(`[${timestamp}] Serving cached file:`, filePath);
-        res.writeHead(200, headers);
-        res.end(fileCache[filePath]);
+    const cachedEntry = extname === '.gem' ? undefined : fileCache.get(filePath);
+    if (cachedEntry) {
+        access.cache = 'hit';
+        sendEntry(req, res, cachedEntry, headers);
         return;
     }
 
     // Read and serve the file
-    console.log('Serving static file:', filePath, 'Content-Type:', contentType);
+    access.cache = 'miss';
 
     // Handle HTML files with template processing
     if (contentType === 'text/html') {
         fs.readFile(filePath, 'utf8', (err, data) => {
             if (err) {
-                console.error(`Error reading file ${filePath}: ${err.message}`);
-                res.writeHead(500);
-                res.end(`Server Error: Unable to read file ${filePath}`);
+                logger.warn('Error reading file', { path: filePath, error: err.message });
+                sendError(res, err.code === 'ENOENT' || err.code === 'EISDIR' ? 404 : 500);
                 return;
             }
 
@@ -165,9 +709,8 @@ const server = http.createServer((req, res) => {
         // For binary files and other non-HTML content
         fs.readFile(filePath, (err, data) => {
             if (err) {
-                console.error(`Error reading file ${filePath}: ${err.message}`);
-                res.writeHead(500);
-                res.end(`Server Error: Unable to read file ${filePath}`);
+                logger.warn('Error reading file', { path: filePath, error: err.message });
+                sendError(res, err.code === 'ENOENT' || err.code === 'EISDIR' ? 404 : 500);
                 return;
             }
             
@@ -176,8 +719,9 @@ const server = http.createServer((req, res) => {
             const isImportantResource = isGemFile || filePath.includes('runtime.js');
             
             if (isImportantResource) {
-                console.log(`Caching file: ${filePath} (${data.length} bytes)`);
-                fileCache[filePath] = data;
+                logger.debug('Caching file', { path: filePath, bytes: data.length });
+                sendEntry(req, res, cacheFile(filePath, data), headers);
+                return;
             }
             
             res.writeHead(200, headers);
@@ -189,7 +733,31 @@ const server = http.createServer((req, res) => {
 // Use PORT from environment variable or fallback to 8000
 const port = process.env.PORT || 8000;
 
-// Start the server
-server.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}/`);
+/**
+ * Load the gem validator, build the catalog from the valid gems, preload them and
+ * start the server
+ */
+async function start() {
+    gemValidator = await import('./shared_js/gemvalidator.mjs');
+
+    catalog = buildCatalog({ isValid: isValidGemFile });
+
+    // Pin the default gem, then preload gem files at startup
+    pinDefaultGem();
+    preloadGemFiles();
+    watchGems();
+    if (!isProduction) {
+        watchShell();
+    } else if (!ADMIN_TOKEN) {
+        logger.warn('ADMIN_TOKEN is not set; the /admin endpoints are disabled');
+    }
+
+    server.listen(port, () => {
+        logger.info('Server running', { url: `http://localhost:${port}/`, production: isProduction, logLevel: logger.level });
+    });
+}
+
+start().catch(error => {
+    logger.error('Error starting server', { error: error.message });
+    process.exit(1);
 }); 
\ No newline at end of file
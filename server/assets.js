@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Directories whose files get content-hashed URLs in production mode
+const HASHED_DIRS = ['shared', 'shared_js'];
+
+// Relative module specifiers in static and dynamic imports: from './x.js', import('./x.js')
+const IMPORT_PATTERN = /(\bfrom\s*|\bimport\s*\(\s*)(['"])(\.{1,2}\/[^'"]+)\2/g;
+
+// Entry modules of the app shell cached by the service worker; their imports are followed
+const SHELL_ENTRIES = ['./shared/index.js', './shared/offline.js'];
+
+// Files outside the hashed directories that belong to the app shell
+const SHELL_FILES = ['./index.html', './offline.html'];
+
+// Template tags with the URL they version: href="/shared/fonts.css?v=<%=shellVersion%>"
+const TEMPLATE_PATTERN = /(["'])([^"']*?)\?v=<%=shellVersion%>/g;
+
+/**
+ * Hash a buffer into a short hex string
+ */
+function contentHash(data) {
+    return crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+}
+
+/**
+ * Find a file in a directory ignoring case, as the dev server does for shared_js
+ * (modules import './BaseViewModel.js' while the file is baseviewmodel.js)
+ */
+function findFile(dir, name) {
+    try {
+        const files = fs.readdirSync(dir);
+        return files.find(file => file === name) ||
+            files.find(file => file.toLowerCase() === name.toLowerCase()) ||
+            null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build content-hashed versions of every file in the hashed directories.
+ * JS modules have their relative imports rewritten to the hashed URLs of their
+ * dependencies, so a module's hash changes whenever anything it imports changes.
+ * Returns a Map of './dir/file' paths to { data, hash, filePath, dependencies }, where
+ * dependencies lists each import as { filePath, requested } (requested keeps the
+ * specifier's spelling, e.g. './shared_js/ViewState.js' for viewstate.js).
+ */
+function buildAssetManifest(dirs = HASHED_DIRS) {
+    const { assets, build } = createAssetBuilder();
+
+    dirs.forEach(dir => {
+        fs.readdirSync(dir)
+            .filter(file => !file.startsWith('.') && fs.statSync(path.join(dir, file)).isFile())
+            .forEach(file => build(`./${dir}/${file}`));
+    });
+
+    return assets;
+}
+
+/**
+ * Build the hashed versions of the app shell's files only: the shell entries with the
+ * modules they import and the other files of shared/, leaving out files nothing uses
+ * (e.g. runtime-beautified.js). Returns a Map like buildAssetManifest().
+ */
+function buildShellAssetManifest() {
+    const { assets, build } = createAssetBuilder();
+
+    SHELL_ENTRIES.forEach(filePath => build(filePath));
+    fs.readdirSync('shared')
+        .filter(file => !file.startsWith('.') && path.extname(file) !== '.js' &&
+            fs.statSync(path.join('shared', file)).isFile())
+        .forEach(file => build(`./shared/${file}`));
+
+    return assets;
+}
+
+/**
+ * Hashed asset builder for buildAssetManifest(): build(filePath) hashes a file and,
+ * first, the modules it imports into assets
+ */
+function createAssetBuilder() {
+    const assets = new Map();
+    const building = new Set();
+
+    const build = (filePath) => {
+        if (assets.has(filePath)) return assets.get(filePath);
+
+        // Import cycles are left unversioned rather than recursing forever
+        if (building.has(filePath)) return null;
+        building.add(filePath);
+
+        let data = fs.readFileSync(filePath);
+        const dependencies = [];
+        if (path.extname(filePath) === '.js') {
+            const source = data.toString('utf8').replace(IMPORT_PATTERN, (match, prefix, quote, specifier) => {
+                const target = path.posix.join(path.posix.dirname(filePath), specifier);
+                const actual = findFile(path.posix.dirname(target), path.posix.basename(target));
+                if (!actual) return match;
+
+                const dependency = build('./' + path.posix.join(path.posix.dirname(target), actual));
+                if (!dependency) return match;
+                dependencies.push({ filePath: dependency.filePath, requested: './' + target });
+
+                const relative = path.posix.relative(path.posix.dirname(filePath), dependency.filePath);
+                const rewritten = relative.startsWith('.') ? relative : './' + relative;
+                return `${prefix}${quote}${rewritten}?v=${dependency.hash}${quote}`;
+            });
+            data = Buffer.from(source, 'utf8');
+        }
+
+        const hash = contentHash(data);
+        const asset = { data, hash, filePath, dependencies };
+        building.delete(filePath);
+        assets.set(filePath, asset);
+        return asset;
+    };
+
+    return { assets, build };
+}
+
+/**
+ * Replace the <%=shellVersion%> template tags in HTML with content hashes.
+ * Files outside the manifest are hashed from disk; missing files fall back to
+ * the given default version.
+ */
+function rewriteTemplate(html, assets, fallbackVersion) {
+    return html.replace(TEMPLATE_PATTERN, (match, quote, url) => {
+        const filePath = '.' + url;
+        const asset = assets.get(filePath);
+        if (asset) return `${quote}${url}?v=${asset.hash}`;
+
+        try {
+            return `${quote}${url}?v=${contentHash(fs.readFileSync(filePath))}`;
+        } catch (error) {
+            return `${quote}${url}?v=${fallbackVersion}`;
+        }
+    });
+}
+
+/**
+ * List the app shell precached by the service worker: the pages, the modules reachable
+ * from the shell entries, the other files of shared/ (styles, web app manifest) and the
+ * manifest's icons. Returns { version, files }, where version is a hash of every shell
+ * file's content so any change (e.g. a new runtime.js) installs a new service worker.
+ * With versioned set, module URLs carry their ?v= hash as served in production.
+ */
+function buildShellManifest(assets, { versioned = false } = {}) {
+    // Shell file paths and the spellings each is requested by in development
+    const shell = new Map();
+    const visit = (filePath, requested) => {
+        const asset = assets.get(filePath);
+        if (!asset) return;
+
+        const seen = shell.has(filePath);
+        if (!seen) shell.set(filePath, new Set());
+        shell.get(filePath).add(requested);
+        if (seen) return;
+
+        asset.dependencies.forEach(dependency => visit(dependency.filePath, dependency.requested));
+    };
+    SHELL_ENTRIES.forEach(filePath => visit(filePath, filePath));
+
+    assets.forEach((asset, filePath) => {
+        if (filePath.startsWith('./shared/') && path.extname(filePath) !== '.js') {
+            visit(filePath, filePath);
+        }
+    });
+
+    const hashes = [];
+    const files = [];
+    Array.from(shell.keys()).sort().forEach(filePath => {
+        const asset = assets.get(filePath);
+        hashes.push(asset.hash);
+        if (versioned) {
+            files.push(`${filePath.slice(1)}?v=${asset.hash}`);
+        } else {
+            shell.get(filePath).forEach(requested => files.push(requested.slice(1)));
+        }
+    });
+
+    SHELL_FILES.forEach(filePath => {
+        try {
+            hashes.push(contentHash(fs.readFileSync(filePath)));
+            files.push(filePath.slice(1));
+        } catch (error) {
+            // Missing pages are left out of the shell
+        }
+    });
+
+    try {
+        const manifest = JSON.parse(fs.readFileSync('./shared/manifest.json', 'utf8'));
+        (manifest.icons || []).forEach(icon => {
+            files.push(path.posix.join('/', icon.src));
+        });
+    } catch (error) {
+        // No icons to precache
+    }
+
+    return { version: contentHash(hashes.join(',')), files };
+}
+
+module.exports = {
+    HASHED_DIRS,
+    SHELL_FILES,
+    buildAssetManifest,
+    buildShellAssetManifest,
+    buildShellManifest,
+    rewriteTemplate
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Directory holding the .gem files and the catalog describing them
+const GEMS_DIR = './assets/gems';
+const CATALOG_FILE = path.join(GEMS_DIR, 'catalog.json');
+
+// Defaults for gems that are on disk but have no catalog entry yet
+const DEFAULT_ENTRY = {
+    artist: 'Gems',
+    album: 'Reinventing digital albums',
+    published: '',
+    bgColor: '#433D37',
+    textColor: '#f0f0f0'
+};
+
+/**
+ * Read the catalog file, returning an empty catalog if it is missing or invalid
+ */
+function readCatalogFile() {
+    try {
+        const catalog = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+        return {
+            default: catalog.default || null,
+            gems: Array.isArray(catalog.gems) ? catalog.gems : []
+        };
+    } catch (error) {
+        logger.error('Error reading gem catalog', { path: CATALOG_FILE, error: error.message });
+        return { default: null, gems: [] };
+    }
+}
+
+/**
+ * List the .gem files currently present in the gems directory
+ */
+function listGemFiles() {
+    try {
+        return fs.readdirSync(GEMS_DIR).filter(file => path.extname(file) === '.gem');
+    } catch (error) {
+        logger.error('Error reading gems directory', { path: GEMS_DIR, error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Build the gem catalog from the catalog file and the contents of the gems directory.
+ * Catalog entries whose file is missing are left out, and files without an entry
+ * are listed with default metadata and an id derived from the file name.
+ * Gems for which isValid(file) returns false are left out as well.
+ */
+function buildCatalog({ isValid = () => true } = {}) {
+    const catalog = readCatalogFile();
+    const files = listGemFiles();
+    const gems = [];
+
+    catalog.gems.forEach(entry => {
+        if (!files.includes(entry.file)) {
+            logger.warn('Catalog entry has no gem file, skipping', { gem: entry.id, file: entry.file });
+            return;
+        }
+        if (!isValid(entry.file)) {
+            logger.warn('Gem file is invalid, skipping', { gem: entry.id, file: entry.file });
+            return;
+        }
+        gems.push(toGem(entry));
+    });
+
+    files.forEach(file => {
+        if (!catalog.gems.some(entry => entry.file === file) && isValid(file)) {
+            gems.push(toGem({ id: path.basename(file, '.gem'), label: null, number: null, file }));
+        }
+    });
+
+    // Fall back to the first available gem if the configured default is missing
+    const defaultGem = gems.find(gem => gem.id === catalog.default) || gems[0] || null;
+
+    return {
+        default: defaultGem ? defaultGem.id : null,
+        gems
+    };
+}
+
+/**
+ * Convert a catalog file entry into the shape served by /api/gems.
+ * Gems with a label and catalog number live at /:label/:catalogNumber,
+ * all others at /gem/:slug (the gem id).
+ */
+function toGem(entry) {
+    const gem = { ...DEFAULT_ENTRY, ...entry };
+    const label = gem.label ? String(gem.label).toLowerCase() : null;
+    const number = gem.number === null || gem.number === undefined ? null : String(gem.number);
+    return {
+        id: gem.id,
+        label,
+        number,
+        path: label && number ? `/${label}/${number}` : `/gem/${gem.id}`,
+        url: `/assets/gems/${gem.file}`,
+        artist: gem.artist,
+        album: gem.album,
+        published: gem.published,
+        bgColor: gem.bgColor,
+        textColor: gem.textColor
+    };
+}
+
+/**
+ * Find the gem a page route refers to: /gem/:slug or /:label/:catalogNumber
+ */
+function findGemByRoute(catalog, routePath) {
+    const match = /^\/([^/]+)\/([^/]+)\/?$/.exec(routePath);
+    if (!match) return null;
+
+    const [, first, second] = match;
+    if (first === 'gem') {
+        return catalog.gems.find(gem => gem.id === second) || null;
+    }
+    return catalog.gems.find(gem => gem.label === first.toLowerCase() && gem.number === second) || null;
+}
+
+/**
+ * Labels used in catalog routes (e.g. ['warp'])
+ */
+function catalogLabels(catalog) {
+    return Array.from(new Set(catalog.gems.map(gem => gem.label).filter(Boolean)));
+}
+
+module.exports = {
+    GEMS_DIR,
+    CATALOG_FILE,
+    buildCatalog,
+    listGemFiles,
+    findGemByRoute,
+    catalogLabels
+};
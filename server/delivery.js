@@ -0,0 +1,173 @@
+const zlib = require('zlib');
+const logger = require('./logger');
+
+// Content encodings we pre-compress cached files into, in order of preference
+const ENCODINGS = {
+    br: {
+        compress: (data, callback) => zlib.brotliCompress(data, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: 9,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+            }
+        }, callback)
+    },
+    gzip: {
+        compress: (data, callback) => zlib.gzip(data, { level: 9 }, callback)
+    }
+};
+
+/**
+ * Compress a cache entry into each supported encoding in the background.
+ * Variants are stored on entry.encoded once ready; only variants smaller than
+ * the raw buffer are kept. onCompressed is called after each variant is stored.
+ */
+function precompress(entry, onCompressed = () => {}) {
+    entry.encoded = {};
+
+    Object.keys(ENCODINGS).forEach(encoding => {
+        ENCODINGS[encoding].compress(entry.data, (error, compressed) => {
+            if (error) {
+                logger.error('Error compressing', { encoding, error: error.message });
+                return;
+            }
+            if (compressed.length < entry.data.length) {
+                entry.encoded[encoding] = compressed;
+                onCompressed(entry, encoding);
+            }
+        });
+    });
+
+    return entry;
+}
+
+/**
+ * Pick the available encoding with the highest q-value in an Accept-Encoding header
+ * (ties go to our order of preference), or null for identity
+ */
+function negotiateEncoding(acceptEncoding, entry) {
+    if (!acceptEncoding || !entry.encoded) return null;
+
+    // Parse "gzip;q=0.8, br" into { gzip: 0.8, br: 1 }
+    const accepted = {};
+    acceptEncoding.split(',').forEach(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const qParam = params.find(param => param.trim().startsWith('q='));
+        accepted[name] = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+    });
+
+    const qualityOf = (encoding) => encoding in accepted ? accepted[encoding] : accepted['*'];
+    const candidates = Object.keys(ENCODINGS)
+        .filter(encoding => qualityOf(encoding) > 0 && entry.encoded[encoding])
+        .sort((a, b) => qualityOf(b) - qualityOf(a));
+
+    return candidates.length > 0 ? candidates[0] : null;
+}
+
+/**
+ * ETag of an entry for a given encoding ("hash" for identity, "hash-br" for brotli)
+ */
+function etagFor(entry, encoding) {
+    return encoding ? entry.etag.replace(/"$/, `-${encoding}"`) : entry.etag;
+}
+
+/**
+ * Check an If-None-Match header against an entry, ignoring weak and encoding markers
+ */
+function matchesETag(header, entry) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+
+    const hash = entry.etag.replace(/"/g, '');
+    return header.split(',').some(tag => {
+        const value = tag.trim().replace(/^W\//, '').replace(/"/g, '');
+        return value === hash || value.startsWith(`${hash}-`);
+    });
+}
+
+/**
+ * Parse a single "bytes=start-end" range against a body size.
+ * Returns { start, end }, null to serve the full body, or false if unsatisfiable.
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+    // Multiple or malformed ranges are ignored and the full body is served
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || start > end) return false;
+    return { start, end };
+}
+
+/**
+ * Send a cached entry, handling conditional GET, byte ranges and content encoding
+ */
+function sendEntry(req, res, entry, headers) {
+    const wantsRange = Boolean(req.headers.range);
+
+    // Byte ranges are served from the raw buffer so offsets stay stable across encodings
+    const encoding = wantsRange ? null : negotiateEncoding(req.headers['accept-encoding'], entry);
+    const etag = etagFor(entry, encoding);
+
+    headers['ETag'] = etag;
+    headers['Accept-Ranges'] = 'bytes';
+    headers['Vary'] = 'Accept-Encoding';
+
+    // Conditional GET
+    if (matchesETag(req.headers['if-none-match'], entry)) {
+        res.writeHead(304, headers);
+        res.end();
+        return 304;
+    }
+
+    // Range request, honored only if If-Range (when present) still matches
+    const ifRange = req.headers['if-range'];
+    if (wantsRange && (!ifRange || ifRange === entry.etag)) {
+        const size = entry.data.length;
+        const range = parseRange(req.headers.range, size);
+
+        if (range === false) {
+            headers['Content-Range'] = `bytes */${size}`;
+            res.writeHead(416, headers);
+            res.end();
+            return 416;
+        }
+
+        if (range) {
+            headers['Content-Range'] = `bytes ${range.start}-${range.end}/${size}`;
+            headers['Content-Length'] = range.end - range.start + 1;
+            res.writeHead(206, headers);
+            res.end(entry.data.subarray(range.start, range.end + 1));
+            return 206;
+        }
+    }
+
+    const body = encoding ? entry.encoded[encoding] : entry.data;
+    if (encoding) {
+        headers['Content-Encoding'] = encoding;
+        // Decoded size, so clients can report download progress in decoded bytes
+        headers['X-Decoded-Content-Length'] = entry.data.length;
+    }
+    headers['Content-Length'] = body.length;
+    res.writeHead(200, headers);
+    res.end(body);
+    return 200;
+}
+
+module.exports = {
+    precompress,
+    negotiateEncoding,
+    matchesETag,
+    parseRange,
+    sendEntry
+};
@@ -0,0 +1,352 @@
+/**
+ * Decoder for .gem files: Spline scene documents packed with msgpackr in its
+ * structured clone mode. On top of plain MessagePack this handles msgpackr's records
+ * (objects sharing a key list, ext 0x72 and the 0x40-0x7f record references), shared
+ * references (ext 0x69 / 0x70), bundled strings (ext 0x62), typed arrays, sets, errors,
+ * regular expressions and timestamps, plus the runtime's own extensions 1-6.
+ *
+ * Values read from the runtime's extensions keep their type in a GEM_EXTENSION symbol
+ * property, so server/gemencoder.js can write them back.
+ */
+
+// Typed array constructors by the code msgpackr writes in ext 0x74
+const TYPED_ARRAYS = ['Int8', 'Uint8', 'Uint8Clamped', 'Int16', 'Uint16', 'Int32', 'Uint32',
+    'Float32', 'Float64', 'BigInt64', 'BigUint64'].map(name => name + 'Array');
+
+// Extensions registered by the Spline runtime. Their values are written as the MessagePack
+// value following a one-byte ext header; kinds 'id' and 'data' wrap a single value.
+const RUNTIME_EXTENSIONS = {
+    1: 'object',
+    2: 'array',
+    3: 'array',
+    4: 'id',
+    5: 'data',
+    6: 'object'
+};
+
+// Symbol property holding the runtime extension type a decoded value was read from
+const GEM_EXTENSION = Symbol('gemExtension');
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Decode a .gem file (Buffer or Uint8Array) into its scene document
+ */
+function decodeGem(buffer) {
+    const src = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(src.buffer, src.byteOffset, src.byteLength);
+    let position = 0;
+
+    // Record key lists by id (negative ids are the low slots of two-byte ids)
+    const structures = [];
+    // Shared references by id (ext 0x69 defines, ext 0x70 points back)
+    const references = new Map();
+    // Bundled strings read by token 0xc1
+    let bundled = null;
+
+    const readString = (length) => {
+        const value = textDecoder.decode(src.subarray(position, position + length));
+        position += length;
+        return value;
+    };
+
+    const readArray = (length) => {
+        const array = new Array(length);
+        for (let i = 0; i < length; i++) array[i] = read();
+        return array;
+    };
+
+    const readMap = (length) => {
+        const object = {};
+        for (let i = 0; i < length; i++) {
+            const key = read();
+            object[key] = read();
+        }
+        return object;
+    };
+
+    const readRecord = (keys) => {
+        const object = {};
+        keys.forEach(key => { object[key] = read(); });
+        return object;
+    };
+
+    // A record definition: its key list follows, then the first record's values
+    const defineRecord = (low, high) => {
+        const keys = read();
+        let id = low;
+        if (high !== undefined) {
+            id = low < 32 ? -((high << 5) + low) : (high << 5) + low;
+            keys.highByte = high;
+        }
+        structures[id] = keys;
+        return readRecord(keys);
+    };
+
+    // A record reference byte (0x40-0x7f)
+    const readRecordReference = (token) => {
+        const low = token & 0x3f;
+        const keys = structures[low];
+        if (!keys) {
+            // Without a structure the byte is a plain positive fixint
+            return token;
+        }
+
+        // Two-byte ids: a following byte selects the high part (0 for this slot)
+        if (keys.highByte === 0) {
+            const high = src[position++];
+            if (high !== 0) {
+                const id = low < 32 ? -(low + (high << 5)) : low + (high << 5);
+                const other = structures[id];
+                if (!other) throw new Error(`Record id is not defined for ${id}`);
+                return readRecord(other);
+            }
+        }
+        return readRecord(keys);
+    };
+
+    const readExtension = (type, length) => {
+        const start = position;
+        const data = src.subarray(position, position + length);
+        position += length;
+
+        switch (type) {
+            case 0x65: {
+                // Error: [name, message]
+                const [name, message] = read();
+                const error = new Error(message);
+                error.name = name;
+                return error;
+            }
+            case 0x69: {
+                // Shared reference target: id in the data, value follows
+                const id = view.getUint32(start);
+                const slot = { target: null };
+                references.set(id, slot);
+                slot.target = read();
+                return slot.target;
+            }
+            case 0x70: {
+                const slot = references.get(view.getUint32(start));
+                return slot ? slot.target : null;
+            }
+            case 0x73:
+                return new Set(read());
+            case 0x74: {
+                const name = TYPED_ARRAYS[data[0]];
+                if (!name) throw new Error(`Unknown typed array code ${data[0]}`);
+                const bytes = Uint8Array.prototype.slice.call(data, 1);
+                return new global[name](bytes.buffer);
+            }
+            case 0x78: {
+                const [pattern, flags] = read();
+                return new RegExp(pattern, flags);
+            }
+            case 0x62: {
+                // Bundled strings: the strings follow the value at the given offset
+                const offset = view.getUint32(start);
+                const valueStart = position;
+                position += offset - 4;
+                bundled = [read(), read()];
+                bundled.position0 = 0;
+                bundled.position1 = 0;
+                const end = position;
+                position = valueStart;
+                const value = read();
+                position = end;
+                return value;
+            }
+            case 0xff:
+                return readTimestamp(data);
+            default:
+                throw new Error(`Unknown extension type ${type}`);
+        }
+    };
+
+    const readTimestamp = (data) => {
+        const dataView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        if (data.length === 4) {
+            return new Date(dataView.getUint32(0) * 1000);
+        }
+        if (data.length === 8) {
+            const nanoseconds = dataView.getUint32(0) >>> 2;
+            const seconds = (dataView.getUint32(0) & 3) * 0x100000000 + dataView.getUint32(4);
+            return new Date(seconds * 1000 + nanoseconds / 1e6);
+        }
+        if (data.length === 12) {
+            return new Date(Number(dataView.getBigInt64(4)) * 1000 + dataView.getUint32(0) / 1e6);
+        }
+        return new Date(NaN);
+    };
+
+    // One-byte ext headers (0xd4): records, the runtime's extensions and msgpackr's own
+    const readFixExt1 = () => {
+        const type = src[position++];
+        if (type === 0x72) {
+            return defineRecord(src[position++] & 0x3f);
+        }
+        if (type === 0) {
+            position++;
+            return undefined;
+        }
+
+        const kind = RUNTIME_EXTENSIONS[type];
+        if (kind) {
+            // Skip the filler byte; the extension's value follows
+            position++;
+            let value = read();
+            if (kind === 'id') value = { $id: value };
+            if (kind === 'data') value = { $data: value };
+            if (value && typeof value === 'object') {
+                Object.defineProperty(value, GEM_EXTENSION, { value: type });
+            }
+            return value;
+        }
+        return readExtension(type, 1);
+    };
+
+    const read = () => {
+        const token = src[position++];
+
+        if (token === undefined) {
+            throw new Error('Unexpected end of gem data');
+        }
+        if (token < 0x40) return token;
+        if (token < 0x80) return readRecordReference(token);
+        if (token < 0x90) return readMap(token - 0x80);
+        if (token < 0xa0) return readArray(token - 0x90);
+        if (token < 0xc0) return readString(token - 0xa0);
+        if (token >= 0xe0) return token - 0x100;
+
+        let length;
+        switch (token) {
+            case 0xc0: return null;
+            case 0xc1: {
+                // Bundled string: positive lengths read from the second list, negative from the first
+                if (!bundled) return undefined;
+                length = read();
+                if (length > 0) {
+                    return bundled[1].slice(bundled.position1, bundled.position1 += length);
+                }
+                return bundled[0].slice(bundled.position0, bundled.position0 -= length);
+            }
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4:
+                length = src[position++];
+                position += length;
+                return src.subarray(position - length, position);
+            case 0xc5:
+                length = view.getUint16(position);
+                position += 2 + length;
+                return src.subarray(position - length, position);
+            case 0xc6:
+                length = view.getUint32(position);
+                position += 4 + length;
+                return src.subarray(position - length, position);
+            case 0xc7:
+                length = src[position++];
+                return readExtension(src[position++], length);
+            case 0xc8:
+                length = view.getUint16(position);
+                position += 2;
+                return readExtension(src[position++], length);
+            case 0xc9:
+                length = view.getUint32(position);
+                position += 4;
+                return readExtension(src[position++], length);
+            case 0xca:
+                position += 4;
+                return view.getFloat32(position - 4);
+            case 0xcb:
+                position += 8;
+                return view.getFloat64(position - 8);
+            case 0xcc: return src[position++];
+            case 0xcd:
+                position += 2;
+                return view.getUint16(position - 2);
+            case 0xce:
+                position += 4;
+                return view.getUint32(position - 4);
+            case 0xcf:
+                position += 8;
+                return Number(view.getBigUint64(position - 8));
+            case 0xd0:
+                position += 1;
+                return view.getInt8(position - 1);
+            case 0xd1:
+                position += 2;
+                return view.getInt16(position - 2);
+            case 0xd2:
+                position += 4;
+                return view.getInt32(position - 4);
+            case 0xd3:
+                position += 8;
+                return Number(view.getBigInt64(position - 8));
+            case 0xd4:
+                return readFixExt1();
+            case 0xd5:
+                if (src[position] === 0x72) {
+                    position++;
+                    const low = src[position++] & 0x3f;
+                    return defineRecord(low, src[position++]);
+                }
+                return readExtension(src[position++], 2);
+            case 0xd6: return readExtension(src[position++], 4);
+            case 0xd7: return readExtension(src[position++], 8);
+            case 0xd8: return readExtension(src[position++], 16);
+            case 0xd9:
+                length = src[position++];
+                return readString(length);
+            case 0xda:
+                length = view.getUint16(position);
+                position += 2;
+                return readString(length);
+            case 0xdb:
+                length = view.getUint32(position);
+                position += 4;
+                return readString(length);
+            case 0xdc:
+                length = view.getUint16(position);
+                position += 2;
+                return readArray(length);
+            case 0xdd:
+                length = view.getUint32(position);
+                position += 4;
+                return readArray(length);
+            case 0xde:
+                length = view.getUint16(position);
+                position += 2;
+                return readMap(length);
+            case 0xdf:
+                length = view.getUint32(position);
+                position += 4;
+                return readMap(length);
+            default:
+                throw new Error(`Unknown MessagePack token ${token}`);
+        }
+    };
+
+    let document;
+    try {
+        document = read();
+    } catch (error) {
+        // Truncated files run reads past the end of the buffer
+        if (error instanceof RangeError) throw new Error('Unexpected end of gem data');
+        throw error;
+    }
+    if (position > src.length) {
+        throw new Error('Unexpected end of gem data');
+    }
+    if (position < src.length) {
+        throw new Error(`Unexpected data after the gem document (${src.length - position} bytes)`);
+    }
+    return document;
+}
+
+module.exports = {
+    GEM_EXTENSION,
+    RUNTIME_EXTENSIONS,
+    TYPED_ARRAYS,
+    decodeGem
+};
@@ -0,0 +1,317 @@
+/**
+ * Encoder for .gem files, the counterpart of server/gemdecoder.js. Documents are written
+ * the way msgpackr's structured clone mode writes them, which is what the runtime reads:
+ * objects as records (ext 0x72 definitions and 0x40-0x7f record references), values
+ * reachable more than once as shared references (ext 0x69 / 0x70), typed arrays as
+ * ext 0x74, and values tagged by decodeGem() back into the runtime's extensions 1-6.
+ */
+const { GEM_EXTENSION, RUNTIME_EXTENSIONS, TYPED_ARRAYS } = require('./gemdecoder');
+
+// Record ids 0x40-0x7f; once all are defined they are redefined round robin
+const RECORD_SLOTS = 64;
+
+// Initial output buffer size, doubled as needed
+const INITIAL_SIZE = 1024 * 1024;
+
+/**
+ * Encode a scene document (as returned by decodeGem()) into .gem file bytes
+ */
+function encodeGem(document) {
+    let target = Buffer.allocUnsafe(INITIAL_SIZE);
+    let position = 0;
+
+    // Record slots: key list signature by slot, and slot by signature
+    const slotSignatures = new Array(RECORD_SLOTS);
+    const slotsBySignature = new Map();
+    let nextSlot = 0;
+
+    // Shared references: how often each object is reachable, and ids of those written
+    const counts = new Map();
+    const referenceIds = new Map();
+
+    const ensure = (length) => {
+        if (position + length <= target.length) return;
+        const grown = Buffer.allocUnsafe(Math.max(target.length * 2, position + length));
+        target.copy(grown, 0, 0, position);
+        target = grown;
+    };
+
+    const writeBytes = (...bytes) => {
+        ensure(bytes.length);
+        bytes.forEach(byte => { target[position++] = byte; });
+    };
+
+    const writeBuffer = (data) => {
+        ensure(data.length);
+        target.set(data, position);
+        position += data.length;
+    };
+
+    // Write a length with the 8, 16 or 32 bit form of a type family (e.g. bin 0xc4-0xc6)
+    const writeLength = (length, token8, token16, token32) => {
+        ensure(5);
+        if (token8 !== null && length < 0x100) {
+            target[position++] = token8;
+            target[position++] = length;
+        } else if (length < 0x10000) {
+            target[position++] = token16;
+            target.writeUInt16BE(length, position);
+            position += 2;
+        } else {
+            target[position++] = token32;
+            target.writeUInt32BE(length, position);
+            position += 4;
+        }
+    };
+
+    const writeExtension = (type, data) => {
+        const fixed = { 1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8 }[data.length];
+        if (fixed) {
+            writeBytes(fixed);
+        } else {
+            writeLength(data.length, 0xc7, 0xc8, 0xc9);
+        }
+        writeBytes(type);
+        writeBuffer(data);
+    };
+
+    // Extensions msgpackr writes from a value (sets, errors, ...): header, filler, value
+    const writeValueExtension = (type, value) => {
+        writeBytes(0xd4, type, 0);
+        write(value);
+    };
+
+    const writeNumber = (value) => {
+        ensure(9);
+        if (Number.isSafeInteger(value)) {
+            if (value >= 0) {
+                // 0x40-0x7f are record references, so only 0-0x3f are written as fixints
+                if (value < 0x40) {
+                    target[position++] = value;
+                } else if (value < 0x100) {
+                    target[position++] = 0xcc;
+                    target[position++] = value;
+                } else if (value < 0x10000) {
+                    target[position++] = 0xcd;
+                    target.writeUInt16BE(value, position);
+                    position += 2;
+                } else if (value < 0x100000000) {
+                    target[position++] = 0xce;
+                    target.writeUInt32BE(value, position);
+                    position += 4;
+                } else {
+                    target[position++] = 0xcf;
+                    target.writeBigUInt64BE(BigInt(value), position);
+                    position += 8;
+                }
+            } else if (value >= -0x20) {
+                target[position++] = value & 0xff;
+            } else if (value >= -0x80) {
+                target[position++] = 0xd0;
+                target.writeInt8(value, position++);
+            } else if (value >= -0x8000) {
+                target[position++] = 0xd1;
+                target.writeInt16BE(value, position);
+                position += 2;
+            } else if (value >= -0x80000000) {
+                target[position++] = 0xd2;
+                target.writeInt32BE(value, position);
+                position += 4;
+            } else {
+                target[position++] = 0xd3;
+                target.writeBigInt64BE(BigInt(value), position);
+                position += 8;
+            }
+        } else if (Math.fround(value) === value || Number.isNaN(value)) {
+            // Values a float32 holds exactly lose nothing in the smaller form
+            target[position++] = 0xca;
+            target.writeFloatBE(value, position);
+            position += 4;
+        } else {
+            target[position++] = 0xcb;
+            target.writeDoubleBE(value, position);
+            position += 8;
+        }
+    };
+
+    const writeString = (value) => {
+        const data = Buffer.from(value, 'utf8');
+        if (data.length < 32) {
+            writeBytes(0xa0 | data.length);
+        } else {
+            writeLength(data.length, 0xd9, 0xda, 0xdb);
+        }
+        writeBuffer(data);
+    };
+
+    const writeArray = (array) => {
+        if (array.length < 16) {
+            writeBytes(0x90 | array.length);
+        } else {
+            writeLength(array.length, null, 0xdc, 0xdd);
+        }
+        array.forEach(write);
+    };
+
+    const writeMap = (map) => {
+        if (map.size < 16) {
+            writeBytes(0x80 | map.size);
+        } else {
+            writeLength(map.size, null, 0xde, 0xdf);
+        }
+        map.forEach((value, key) => {
+            write(key);
+            write(value);
+        });
+    };
+
+    // Objects are records: the first of each key list defines a slot, later ones refer to it
+    const writeRecord = (object) => {
+        const keys = Object.keys(object);
+        const signature = JSON.stringify(keys);
+        let slot = slotsBySignature.get(signature);
+
+        if (slot === undefined) {
+            slot = nextSlot;
+            nextSlot = (nextSlot + 1) % RECORD_SLOTS;
+            if (slotSignatures[slot] !== undefined) {
+                slotsBySignature.delete(slotSignatures[slot]);
+            }
+            slotSignatures[slot] = signature;
+            slotsBySignature.set(signature, slot);
+
+            writeBytes(0xd4, 0x72, 0x40 + slot);
+            writeArray(keys);
+        } else {
+            writeBytes(0x40 + slot);
+        }
+        keys.forEach(key => write(object[key]));
+    };
+
+    const writeTimestamp = (date) => {
+        const time = date.getTime();
+        const seconds = Math.floor(time / 1000);
+        const data = Buffer.alloc(seconds >= 0 && seconds < 0x100000000 && time % 1000 === 0 ? 4 : 12);
+        if (data.length === 4) {
+            data.writeUInt32BE(seconds, 0);
+        } else {
+            data.writeUInt32BE(Math.round((time - seconds * 1000) * 1e6), 0);
+            data.writeBigInt64BE(BigInt(seconds), 4);
+        }
+        writeExtension(0xff, data);
+    };
+
+    const writeObject = (value) => {
+        // Shared references: the first occurrence is wrapped in 0x69, later ones point back
+        if (counts.get(value) > 1) {
+            const id = referenceIds.get(value);
+            const data = Buffer.alloc(4);
+            if (id !== undefined) {
+                data.writeUInt32BE(id, 0);
+                writeExtension(0x70, data);
+                return;
+            }
+            // Ids count from 1, as msgpackr's do
+            data.writeUInt32BE(referenceIds.size + 1, 0);
+            referenceIds.set(value, referenceIds.size + 1);
+            writeExtension(0x69, data);
+        }
+
+        const extension = value[GEM_EXTENSION];
+        if (extension !== undefined) {
+            // The runtime's extensions: one-byte header with a filler, then the value
+            writeBytes(0xd4, extension, 0);
+            const kind = RUNTIME_EXTENSIONS[extension];
+            if (kind === 'id') {
+                write(value.$id);
+            } else if (kind === 'data') {
+                write(value.$data);
+            } else if (Array.isArray(value)) {
+                writeArray(value);
+            } else {
+                writeRecord(value);
+            }
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            writeArray(value);
+        } else if (value instanceof Uint8Array) {
+            writeLength(value.length, 0xc4, 0xc5, 0xc6);
+            writeBuffer(value);
+        } else if (ArrayBuffer.isView(value)) {
+            const code = TYPED_ARRAYS.indexOf(value.constructor.name);
+            if (code === -1) throw new Error(`Cannot encode a ${value.constructor.name}`);
+            const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            writeExtension(0x74, Buffer.concat([Buffer.from([code]), bytes]));
+        } else if (value instanceof ArrayBuffer) {
+            writeLength(value.byteLength, 0xc4, 0xc5, 0xc6);
+            writeBuffer(new Uint8Array(value));
+        } else if (value instanceof Date) {
+            writeTimestamp(value);
+        } else if (value instanceof Set) {
+            writeValueExtension(0x73, Array.from(value));
+        } else if (value instanceof RegExp) {
+            writeValueExtension(0x78, [value.source, value.flags]);
+        } else if (value instanceof Error) {
+            writeValueExtension(0x65, [value.name, value.message]);
+        } else if (value instanceof Map) {
+            writeMap(value);
+        } else {
+            writeRecord(value);
+        }
+    };
+
+    const write = (value) => {
+        switch (typeof value) {
+            case 'string':
+                writeString(value);
+                break;
+            case 'number':
+                writeNumber(value);
+                break;
+            case 'boolean':
+                writeBytes(value ? 0xc3 : 0xc2);
+                break;
+            case 'undefined':
+                writeBytes(0xd4, 0, 0);
+                break;
+            case 'object':
+                if (value === null) {
+                    writeBytes(0xc0);
+                } else {
+                    writeObject(value);
+                }
+                break;
+            default:
+                throw new Error(`Cannot encode a ${typeof value}`);
+        }
+    };
+
+    // Count how often each object is reachable so shared ones are written once
+    const count = (value) => {
+        if (value === null || typeof value !== 'object') return;
+        const seen = counts.get(value) || 0;
+        counts.set(value, seen + 1);
+        if (seen > 0 || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return;
+
+        if (value instanceof Map) {
+            value.forEach((child, key) => {
+                count(key);
+                count(child);
+            });
+        } else if (value instanceof Set) {
+            value.forEach(count);
+        } else {
+            Object.values(value).forEach(count);
+        }
+    };
+
+    count(document);
+    write(document);
+    return target.subarray(0, position);
+}
+
+module.exports = {
+    encodeGem
+};
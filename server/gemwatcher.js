@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Time to wait for a file to settle before reporting a change, in milliseconds
+// (copying a large gem emits several change events in a row)
+const SETTLE_DELAY = 250;
+
+/**
+ * Watch a directory and report settled file changes.
+ * The callback receives the file path and whether the file still exists.
+ * Returns a function that stops watching.
+ */
+function watchDirectory(dir, onChange) {
+    const timers = new Map();
+
+    let watcher;
+    try {
+        watcher = fs.watch(dir, (eventType, filename) => {
+            if (!filename) return;
+
+            const filePath = './' + path.posix.join(dir, filename);
+
+            // Debounce events per file
+            clearTimeout(timers.get(filePath));
+            timers.set(filePath, setTimeout(() => {
+                timers.delete(filePath);
+                onChange(filePath, fs.existsSync(filePath));
+            }, SETTLE_DELAY));
+        });
+    } catch (error) {
+        logger.error('Error watching directory', { path: dir, error: error.message });
+        return () => {};
+    }
+
+    watcher.on('error', error => {
+        logger.error('Error watching directory', { path: dir, error: error.message });
+    });
+
+    return () => {
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+        watcher.close();
+    };
+}
+
+module.exports = {
+    watchDirectory
+};
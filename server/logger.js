@@ -0,0 +1,47 @@
+// Log levels in increasing order of severity
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Minimum level written (set with LOG_LEVEL=debug|info|warn|error)
+let minLevel = LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+/**
+ * Write one JSON log line if the level is enabled.
+ * Warnings and errors go to stderr, everything else to stdout.
+ */
+function write(level, msg, fields = {}) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(minLevel)) return;
+
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...fields
+    });
+
+    if (level === 'warn' || level === 'error') {
+        process.stderr.write(line + '\n');
+    } else {
+        process.stdout.write(line + '\n');
+    }
+}
+
+const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+
+    // Change the minimum level at runtime
+    setLevel(level) {
+        if (!LEVELS.includes(level)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        minLevel = level;
+    },
+
+    get level() {
+        return minLevel;
+    }
+};
+
+module.exports = logger;
@@ -0,0 +1,161 @@
+/**
+ * Size-bounded least-recently-used cache.
+ * Entries are evicted oldest-first once the total size exceeds maxBytes;
+ * pinned entries are never evicted.
+ */
+class LRUCache {
+    constructor({ maxBytes, sizeOf }) {
+        this.maxBytes = maxBytes;
+        this.sizeOf = sizeOf;
+
+        // Map iteration order doubles as recency order (oldest first)
+        this._entries = new Map();
+        this._pinned = new Set();
+        this._bytes = 0;
+
+        // Eviction statistics
+        this._stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0,
+            evictedBytes: 0
+        };
+    }
+
+    // Look up an entry and mark it as most recently used
+    get(key) {
+        const record = this._entries.get(key);
+        if (!record) {
+            this._stats.misses++;
+            return undefined;
+        }
+
+        this._stats.hits++;
+        record.hits++;
+        record.lastAccess = Date.now();
+        this._entries.delete(key);
+        this._entries.set(key, record);
+        return record.value;
+    }
+
+    // Look up an entry without affecting recency or statistics
+    peek(key) {
+        const record = this._entries.get(key);
+        return record ? record.value : undefined;
+    }
+
+    has(key) {
+        return this._entries.has(key);
+    }
+
+    // Add or replace an entry, evicting older ones to stay within budget
+    set(key, value) {
+        this.delete(key);
+
+        const bytes = this.sizeOf(value);
+        this._entries.set(key, { value, bytes, hits: 0, lastAccess: Date.now() });
+        this._bytes += bytes;
+        this._evict();
+        return this;
+    }
+
+    // Remove an entry (pinning is kept so a replaced pinned file stays pinned)
+    delete(key) {
+        const record = this._entries.get(key);
+        if (!record) return false;
+
+        this._bytes -= record.bytes;
+        this._entries.delete(key);
+        return true;
+    }
+
+    // Recompute an entry's size after it grew (e.g. compressed variants were added)
+    updateSize(key) {
+        const record = this._entries.get(key);
+        if (!record) return;
+
+        const bytes = this.sizeOf(record.value);
+        this._bytes += bytes - record.bytes;
+        record.bytes = bytes;
+        this._evict();
+    }
+
+    pin(key) {
+        this._pinned.add(key);
+    }
+
+    unpin(key) {
+        this._pinned.delete(key);
+        this._evict();
+    }
+
+    isPinned(key) {
+        return this._pinned.has(key);
+    }
+
+    /**
+     * Remove all entries, or all but the pinned ones.
+     * Returns the number of entries removed.
+     */
+    clear({ includePinned = false } = {}) {
+        let removed = 0;
+        Array.from(this._entries.keys()).forEach(key => {
+            if (includePinned || !this._pinned.has(key)) {
+                this.delete(key);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    // Evict least recently used, unpinned entries until within budget
+    _evict() {
+        if (this._bytes <= this.maxBytes) return;
+
+        for (const [key, record] of this._entries) {
+            if (this._bytes <= this.maxBytes) break;
+            if (this._pinned.has(key)) continue;
+
+            this.delete(key);
+            this._stats.evictions++;
+            this._stats.evictedBytes += record.bytes;
+        }
+    }
+
+    // Entry summaries, least recently used first
+    entries() {
+        return Array.from(this._entries, ([key, record]) => ({
+            key,
+            bytes: record.bytes,
+            pinned: this._pinned.has(key),
+            hits: record.hits,
+            lastAccess: new Date(record.lastAccess).toISOString()
+        }));
+    }
+
+    values() {
+        return Array.from(this._entries.values(), record => record.value);
+    }
+
+    get size() {
+        return this._entries.size;
+    }
+
+    get bytes() {
+        return this._bytes;
+    }
+
+    get stats() {
+        return {
+            entries: this._entries.size,
+            bytes: this._bytes,
+            maxBytes: this.maxBytes,
+            pinned: this._pinned.size,
+            ...this._stats
+        };
+    }
+}
+
+module.exports = {
+    LRUCache
+};
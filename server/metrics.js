@@ -0,0 +1,82 @@
+// Registered metrics by name: { type, help, values: Map<labelKey, { labels, value }>, collect }
+const metrics = new Map();
+
+/**
+ * Register a counter, optionally read from collect() (like a gauge) when it is
+ * tracked elsewhere instead of through increment()
+ */
+function defineCounter(name, help, collect) {
+    metrics.set(name, { type: 'counter', help, values: new Map(), collect });
+}
+
+/**
+ * Register a gauge whose samples are read from collect() when metrics are rendered.
+ * collect returns a number, or an array of { labels, value } samples.
+ */
+function defineGauge(name, help, collect) {
+    metrics.set(name, { type: 'gauge', help, values: new Map(), collect });
+}
+
+/**
+ * Add to a counter for the given labels
+ */
+function increment(name, labels = {}, amount = 1) {
+    const metric = metrics.get(name);
+    if (!metric) {
+        throw new Error(`Unknown metric: ${name}`);
+    }
+
+    const key = JSON.stringify(labels);
+    const sample = metric.values.get(key);
+    if (sample) {
+        sample.value += amount;
+    } else {
+        metric.values.set(key, { labels, value: amount });
+    }
+}
+
+/**
+ * Escape a label value for the Prometheus text format
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format one sample line
+ */
+function formatSample(name, labels, value) {
+    const pairs = Object.keys(labels).map(key => `${key}="${escapeLabel(labels[key])}"`);
+    return pairs.length > 0 ? `${name}{${pairs.join(',')}} ${value}` : `${name} ${value}`;
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ */
+function renderMetrics() {
+    const lines = [];
+
+    metrics.forEach((metric, name) => {
+        lines.push(`# HELP ${name} ${metric.help}`);
+        lines.push(`# TYPE ${name} ${metric.type}`);
+
+        let samples = Array.from(metric.values.values());
+        if (metric.collect) {
+            const collected = metric.collect();
+            samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        }
+
+        samples.forEach(sample => {
+            lines.push(formatSample(name, sample.labels, sample.value));
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    defineCounter,
+    defineGauge,
+    increment,
+    renderMetrics
+};
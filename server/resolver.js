@@ -0,0 +1,63 @@
+const path = require('path');
+
+// Project root (the working directory the server's relative paths are read from);
+// nothing outside it is ever served
+const ROOT = process.cwd();
+
+// Top-level directories served by default (override with SERVED_DIRS=shared,assets)
+const DEFAULT_SERVED_DIRS = ['shared', 'shared_js', 'assets'];
+
+// Individual files served from the project root
+const ROOT_FILES = ['index.html', 'offline.html'];
+
+/**
+ * Read the allow-list of served directories from the environment
+ */
+function servedDirsFromEnv(env = process.env) {
+    if (!env.SERVED_DIRS) return DEFAULT_SERVED_DIRS;
+    return env.SERVED_DIRS.split(',').map(dir => dir.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve a request path to a file inside the project root.
+ * Returns { filePath } with a './'-prefixed path relative to the root, or
+ * { status } with 400 for malformed paths and 404 for anything not served.
+ */
+function resolveRequestPath(urlPath, servedDirs = DEFAULT_SERVED_DIRS) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch (error) {
+        return { status: 400 };
+    }
+
+    // Reject null bytes and backslashes, which some platforms treat as separators
+    if (decoded.includes('\0') || decoded.includes('\\')) {
+        return { status: 400 };
+    }
+
+    const resolved = path.resolve(ROOT, '.' + path.posix.normalize('/' + decoded));
+    if (resolved !== ROOT && !resolved.startsWith(ROOT + path.sep)) {
+        return { status: 404 };
+    }
+
+    const relative = path.relative(ROOT, resolved).split(path.sep).join('/');
+    const [topLevel, ...rest] = relative.split('/');
+    const isRootFile = rest.length === 0 && ROOT_FILES.includes(topLevel);
+    const isServedDir = rest.length > 0 && servedDirs.includes(topLevel);
+
+    // Hidden files (e.g. .DS_Store, .env) are never served
+    const isHidden = relative.split('/').some(segment => segment.startsWith('.'));
+
+    if ((!isRootFile && !isServedDir) || isHidden) {
+        return { status: 404 };
+    }
+
+    return { filePath: './' + relative };
+}
+
+module.exports = {
+    ROOT,
+    servedDirsFromEnv,
+    resolveRequestPath
+};
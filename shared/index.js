@@ -1,6 +1,7 @@
 // Import GemPlayer class to ensure it's registered
 import { GemPlayer } from '../shared_js/gemplayer_new.js';
-import { Router } from '../shared_js/router.js';
+import { NavigationController } from '../shared_js/navigationcontroller.js';
+import { GemCatalog } from '../shared_js/gemcatalog.js';
 import { CameraViewModel } from '../shared_js/cameraviewmodel.js';
 import { ViewState } from '../shared_js/viewstate.js';
 import { GemViewModel } from '../shared_js/gemviewmodel.js';
@@ -11,75 +12,87 @@ import { ThemeContent } from '../shared_js/themecontent.js';
 import { RotationControl } from '../shared_js/rotationcontrol.js';
 import { BaseViewModel } from '../shared_js/baseviewmodel.js';
 
-// No need for additional initialization, the custom element handles everything
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM loaded, custom elements ready');
-    
-    // Initialize router
-    const router = new Router();
-    
-    // Add event listeners to track the gem-player element events
-    const player = document.querySelector('gem-player');
-    
-    if (player) {
-        // Set up route handler for /warp/:number
-        router.addRoute('/warp', (gemNumber) => {
-            // Map gem numbers to gem types
-            const gemMap = {
-                '21': 'aphex-twin',
-                '195': 'flying-lotus',
-                '318': 'oneohtrix'
-            };
+/**
+ * Register the service worker (sw.js) that runs the app offline, and offer a reload
+ * when a new version of the app (e.g. an updated runtime.js) has been downloaded
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
 
-            const gemType = gemMap[gemNumber];
-            if (gemType) {
-                // Update the gem player
-                player.setAttribute('gem', gemType);
-                
-                // Update button states
-                const buttons = document.querySelectorAll('.gem-button');
-                buttons.forEach(btn => {
-                    if (btn.getAttribute('data-gem') === gemType) {
-                        btn.classList.add('active');
-                    } else {
-                        btn.classList.remove('active');
-                    }
-                });
-            }
-        });
+    let registration;
+    try {
+        registration = await navigator.serviceWorker.register('/sw.js');
+    } catch (error) {
+        console.error('Error registering service worker:', error);
+        return;
+    }
 
-        // Log when the scene starts loading
-        player.addEventListener('scenestart', () => {
-            console.log('Scene start event captured - Spline has begun initialization');
-        });
-        
-        // Log when the scene is fully loaded and faded in
-        player.addEventListener('sceneloaded', () => {
-            console.log('Scene loaded event captured - Fade-in complete');
-        });
-        
-        // Log any errors
-        player.addEventListener('sceneerror', (event) => {
-            console.error('Scene error event captured:', event.detail.error);
-        });
+    const updateButton = document.querySelector('.update-button');
+    const offerUpdate = (worker) => {
+        if (!updateButton) return;
+        updateButton.hidden = false;
+        updateButton.addEventListener('click', () => {
+            worker.postMessage({ type: 'skipWaiting' });
+        }, { once: true });
+    };
 
-        // Handle gem selection
-        player.addEventListener('gemselected', (event) => {
-            const gemType = event.detail.gemNumber;
-            // Map gem types to numbers
-            const numberMap = {
-                'aphex-twin': '21',
-                'flying-lotus': '195',
-                'oneohtrix': '318'
-            };
-            const gemNumber = numberMap[gemType];
-            if (gemNumber) {
-                router.navigate(`/warp/${gemNumber}`);
+    // A worker already waiting from an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        offerUpdate(registration.waiting);
+    }
+
+    // A new version finished installing while this page is controlled by the old one
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                offerUpdate(worker);
             }
         });
+    });
+
+    // Reload once the new version takes over
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading || !updateButton || updateButton.hidden) return;
+        reloading = true;
+        window.location.reload();
+    });
+}
+
+// No need for additional initialization, the custom element handles everything
+document.addEventListener('DOMContentLoaded', async () => {
+    console.log('DOM loaded, custom elements ready');
+
+    registerServiceWorker();
 
-        // Initialize based on current URL
-        const currentGemNumber = router.getCurrentGemNumber();
-        router.handleRoute(`/warp/${currentGemNumber}`);
+    // Load the gem catalog before routing
+    let catalog;
+    try {
+        catalog = await GemCatalog.load();
+    } catch (error) {
+        console.error('Error loading gem catalog:', error);
+        return;
     }
-}); 
\ No newline at end of file
+    
+    // Navigation controller: routes, buttons and switching between gems
+    const navigation = new NavigationController(catalog);
+    
+    // Log when the scene starts loading
+    document.addEventListener('scenestart', () => {
+        console.log('Scene start event captured - Spline has begun initialization');
+    });
+    
+    // Log when the scene is fully loaded and faded in
+    document.addEventListener('sceneloaded', () => {
+        console.log('Scene loaded event captured - Fade-in complete');
+    });
+    
+    // Log any errors
+    document.addEventListener('sceneerror', (event) => {
+        console.error(`Scene error event captured (${event.detail.code}):`, event.detail.error);
+    });
+
+    // Initialize based on current URL
+    navigation.start();
+}); 
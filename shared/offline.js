@@ -0,0 +1,39 @@
+import { GemCatalog } from '../shared_js/gemcatalog.js';
+import { OfflineLibrary } from '../shared_js/offlinelibrary.js';
+
+// Offline fallback page: list the gems saved for offline and retry once back online
+document.addEventListener('DOMContentLoaded', async () => {
+    const message = document.querySelector('.offline-message');
+    const savedGems = document.querySelector('.saved-gems');
+
+    document.querySelector('.retry-button').addEventListener('click', () => {
+        window.location.reload();
+    });
+    window.addEventListener('online', () => {
+        window.location.reload();
+    });
+
+    // The service worker answers the catalog from its cache while offline
+    let catalog;
+    try {
+        catalog = await GemCatalog.load();
+    } catch (error) {
+        console.error('Error loading gem catalog:', error);
+        return;
+    }
+
+    const gems = await OfflineLibrary.savedGems(catalog);
+    if (gems.length === 0) return;
+
+    message.textContent = "This gem hasn't been saved for offline use. Saved gems:";
+    gems.forEach(gem => {
+        const link = document.createElement('a');
+        link.className = 'gem-button';
+        link.href = gem.path;
+        link.textContent = gem.label && gem.number
+            ? `${gem.label.toUpperCase()}${gem.number}`
+            : gem.id;
+        savedGems.appendChild(link);
+    });
+    savedGems.hidden = false;
+});
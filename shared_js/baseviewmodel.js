@@ -1,7 +1,10 @@
 import { ViewState } from './ViewState.js';
+import { Quaternion } from './quaternion.mjs';
 
 /**
- * Base class for view models that manage state and animations
+ * Base class for view models that manage state and animations.
+ * Orientation eases by slerping the state's quaternion, so it always turns the short way
+ * round and pitch and yaw change together; the Euler rotation accessors remain.
  */
 export class BaseViewModel {
     constructor(targetObject, initialState = new ViewState(), easingRatio = 0.15, threshold = 0.001) {
@@ -24,6 +27,9 @@ export class BaseViewModel {
         this._pendingValidation = false;
         this._validationFrameId = null;
 
+        // Callbacks waiting for the current state to reach the target state
+        this._settledCallbacks = [];
+
         // Calculate initial radius
         this._radius = Math.sqrt(
             initialState.position.x * initialState.position.x +
@@ -60,21 +66,21 @@ export class BaseViewModel {
     // Rotation getters/setters (target values)
     get rotationX() { return this.targetState.rotation.x; }
     set rotationX(value) { 
-        this.targetState.rotation.x = value;
+        this.targetState.rotation = { ...this.targetState.rotation, x: value };
         this._hasRotationChange = true;
         this.scheduleValidation();
     }
     
     get rotationY() { return this.targetState.rotation.y; }
     set rotationY(value) { 
-        this.targetState.rotation.y = value;
+        this.targetState.rotation = { ...this.targetState.rotation, y: value };
         this._hasRotationChange = true;
         this.scheduleValidation();
     }
     
     get rotationZ() { return this.targetState.rotation.z; }
     set rotationZ(value) { 
-        this.targetState.rotation.z = value;
+        this.targetState.rotation = { ...this.targetState.rotation, z: value };
         this._hasRotationChange = true;
         this.scheduleValidation();
     }
@@ -105,12 +111,23 @@ export class BaseViewModel {
         this.scheduleValidation();
     }
 
+    // Orientation quaternion getters/setters (target values)
+    get quaternion() { return this.targetState.quaternion; }
+    set quaternion(value) {
+        this.targetState.quaternion = value;
+        this._hasRotationChange = true;
+        this.scheduleValidation();
+    }
+
     // Current position object getter (read-only)
     get currentPosition() { return { ...this.currentState.position }; }
 
     // Current rotation object getter (read-only)
     get currentRotation() { return { ...this.currentState.rotation }; }
 
+    // Current orientation quaternion getter (read-only)
+    get currentQuaternion() { return this.currentState.quaternion; }
+
     // Has changes getter
     get hasChanges() { return this._hasChanges; }
 
@@ -148,27 +165,56 @@ export class BaseViewModel {
             }
         }
         
-        // Rotation lerp
-        for (const axis of ['x', 'y', 'z']) {
-            const diff = this.targetState.rotation[axis] - this.currentState.rotation[axis];
-            if (Math.abs(diff) > this.threshold) {
-                this.currentState.rotation[axis] += diff * this.easingRatio;
-                this._hasRotationChange = true;
-            } else {
-                this.currentState.rotation[axis] = this.targetState.rotation[axis];
-            }
+        // Rotation slerp, the short way round
+        const currentQuaternion = this.currentState.quaternion;
+        const targetQuaternion = this.targetState.quaternion;
+        if (Quaternion.angleBetween(currentQuaternion, targetQuaternion) > this.threshold) {
+            this.currentState.quaternion = Quaternion.slerp(currentQuaternion, targetQuaternion, this.easingRatio);
+            this._hasRotationChange = true;
+        } else {
+            // Settle on the target's own Euler angles
+            this.currentState.rotation = this.targetState.rotation;
         }
         
+        // State eased by derived classes (e.g. the camera's offset)
+        const hasExtraChange = this.updateExtraState();
+
         // Apply current state to actual object
         this.apply();
         
         // Update overall change state
-        this._hasChanges = this._hasPositionChange || this._hasRotationChange;
+        this._hasChanges = this._hasPositionChange || this._hasRotationChange || hasExtraChange;
         
         // Schedule next update if we still have changes
         if (this._hasChanges) {
             this.scheduleValidation();
+        } else {
+            this.notifySettled();
+        }
+    }
+
+    /**
+     * Resolve once the current state has reached the target state
+     */
+    settled() {
+        if (!this._pendingValidation && !this._hasChanges) {
+            return Promise.resolve();
         }
+        return new Promise(resolve => this._settledCallbacks.push(resolve));
+    }
+
+    notifySettled() {
+        const callbacks = this._settledCallbacks;
+        this._settledCallbacks = [];
+        callbacks.forEach(callback => callback());
+    }
+
+    /**
+     * Ease any extra state a derived class keeps towards its target.
+     * Returns whether it is still moving.
+     */
+    updateExtraState() {
+        return false;
     }
 
     apply() {
@@ -1,12 +1,40 @@
 import { BaseViewModel } from './BaseViewModel.js';
 
 /**
- * Manages camera state and animations
+ * Manages camera state and animations.
+ * Besides position and rotation the camera has an offset: a shift along its right and up
+ * axes (the camera keeps looking at the origin otherwise), eased like the other values.
+ * ZoomControl uses it to zoom towards the point under the cursor.
  */
 export class CameraViewModel extends BaseViewModel {
-	
+
     constructor(camera, initialState, easing = 0.15, threshold = 0.001) {
         super(camera, initialState, easing, threshold);
+
+        this.currentOffset = { x: 0, y: 0 };
+        this.targetOffset = { x: 0, y: 0 };
+    }
+
+    // Offset getters/setters (target values)
+    get offset() { return { ...this.targetOffset }; }
+    set offset(value) {
+        this.targetOffset = { x: value.x, y: value.y };
+        this._hasPositionChange = true;
+        this.scheduleValidation();
+    }
+
+    updateExtraState() {
+        let hasChange = false;
+        for (const axis of ['x', 'y']) {
+            const diff = this.targetOffset[axis] - this.currentOffset[axis];
+            if (Math.abs(diff) > this.threshold) {
+                this.currentOffset[axis] += diff * this.easingRatio;
+                hasChange = true;
+            } else {
+                this.currentOffset[axis] = this.targetOffset[axis];
+            }
+        }
+        return hasChange;
     }
 
     apply() {
@@ -16,11 +44,14 @@ export class CameraViewModel extends BaseViewModel {
         if (!camera) return;
 
         try {
-			
+
+            const position = this.currentState.position;
+            const shift = this.offsetVector(position, this.currentOffset || { x: 0, y: 0 });
+
             camera.position.set(
-                this.currentState.position.x,
-                this.currentState.position.y,
-                this.currentState.position.z
+                position.x + shift.x,
+                position.y + shift.y,
+                position.z + shift.z
             );
 
             camera.rotation.set(
@@ -33,4 +64,35 @@ export class CameraViewModel extends BaseViewModel {
             console.error('Error updating camera:', error);
         }
     }
-} 
\ No newline at end of file
+
+    /**
+     * World-space shift for an offset along the right and up axes of a camera at a
+     * position looking at the origin
+     */
+    offsetVector(position, offset) {
+        const length = Math.sqrt(
+            position.x * position.x +
+            position.y * position.y +
+            position.z * position.z
+        );
+        if (length === 0 || (offset.x === 0 && offset.y === 0)) return { x: 0, y: 0, z: 0 };
+
+        // Forward (towards the origin), right (forward × world up) and up (right × forward)
+        const forward = { x: -position.x / length, y: -position.y / length, z: -position.z / length };
+        const horizontal = Math.sqrt(forward.x * forward.x + forward.z * forward.z);
+        if (horizontal === 0) return { x: 0, y: 0, z: 0 };
+
+        const right = { x: -forward.z / horizontal, y: 0, z: forward.x / horizontal };
+        const up = {
+            x: -right.z * forward.y,
+            y: right.z * forward.x - right.x * forward.z,
+            z: right.x * forward.y
+        };
+
+        return {
+            x: right.x * offset.x + up.x * offset.y,
+            y: right.y * offset.x + up.y * offset.y,
+            z: right.z * offset.x + up.z * offset.y
+        };
+    }
+}
@@ -1,3 +1,5 @@
+import { Quaternion } from './quaternion.mjs';
+
 /**
  * Controls camera drift based on mouse position or device motion
  */
@@ -13,7 +15,11 @@ export class DriftControl {
         this.options = {
             // Hardcode to 15 degrees, completely ignoring any options
             maxRotationDrift: 15,
-            invertRotationDrift: options.invertRotationDrift || false
+            invertRotationDrift: options.invertRotationDrift || false,
+            // Panel shown to request motion permission (falls back to #panel-overlay in the page)
+            permissionOverlay: options.permissionOverlay || null,
+            // Whether device orientation should drive this camera (e.g. its player is focused)
+            isActive: options.isActive || (() => true)
         };
         
         console.log('UPDATED DRIFTCONTROL.JS - Using fixed 15 degree rotation');
@@ -54,26 +60,14 @@ export class DriftControl {
      * Quaternion multiplication
      */
     multiplyQuaternions(a, b) {
-        return {
-            w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
-            x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
-            y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
-            z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w
-        };
+        return Quaternion.multiply(a, b);
     }
 
     /**
      * Create rotation quaternion from axis and angle
      */
     axisAngleToQuaternion(axis, angle) {
-        const halfAngle = angle / 2;
-        const s = Math.sin(halfAngle);
-        return {
-            w: Math.cos(halfAngle),
-            x: axis.x * s,
-            y: axis.y * s,
-            z: axis.z * s
-        };
+        return Quaternion.fromAxisAngle(axis, angle);
     }
 
     /**
@@ -152,7 +146,7 @@ export class DriftControl {
      * Create and show permission overlay
      */
     createPermissionOverlay() {
-        this._permissionOverlay = document.getElementById('panel-overlay');
+        this._permissionOverlay = this.options.permissionOverlay || document.getElementById('panel-overlay');
         if (!this._permissionOverlay) return;
         
         this._permissionOverlay.style.visibility = 'visible';
@@ -211,7 +205,7 @@ export class DriftControl {
 
         // Create new orientation handler
         this._orientationHandler = (e) => {
-            if (!this.enabled) return;
+            if (!this.enabled || !this.options.isActive()) return;
             
             // Get orientation data
             const { beta, gamma } = e;
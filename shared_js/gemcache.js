@@ -0,0 +1,332 @@
+/**
+ * Persistent cache of downloaded gem files in IndexedDB.
+ * Entries hold the decoded bytes of a gem keyed by its URL (without the ?v= version)
+ * and are validated against the server's ETag: a versioned catalog URL whose hash matches
+ * is used without touching the network, otherwise the server is asked with If-None-Match.
+ * The cache is bounded by total bytes and entry count, evicting least recently used gems.
+ */
+export class GemCache {
+
+    // Bump to drop every stored gem (e.g. when the record format changes)
+    static VERSION = 1;
+
+    constructor({ name = 'gem-cache', maxBytes = 64 * 1024 * 1024, maxEntries = 16 } = {}) {
+        this.name = name;
+        this.maxBytes = maxBytes;
+        this.maxEntries = maxEntries;
+
+        // Shared database connection, opened on first use
+        this._db = null;
+
+        // Downloads in flight by key ({ request, listeners, progress }), so concurrent loads
+        // of one gem share a request and each caller hears its progress
+        this._pending = new Map();
+    }
+
+    /**
+     * Cache key for a gem URL: absolute, without the ?v= version parameter
+     */
+    static keyFor(url) {
+        const resolved = new URL(url, window.location.href);
+        resolved.searchParams.delete('v');
+        return resolved.href;
+    }
+
+    /**
+     * Content hash named by an ETag or ?v= parameter, without quotes, weak or encoding markers
+     */
+    static hashOf(tag) {
+        if (!tag) return null;
+        return tag.replace(/^W\//, '').replace(/"/g, '').replace(/-(br|gzip)$/, '');
+    }
+
+    /**
+     * Load a gem's bytes, from the cache when still current and from the network otherwise.
+     * onProgress(loaded, total) is called as bytes arrive (total is 0 when unknown), also
+     * when joining a download already running, starting with the progress it has made.
+     */
+    load(url, { onProgress } = {}) {
+        const key = GemCache.keyFor(url);
+
+        // Share a download already running for this gem, catching up with its progress
+        const pending = this._pending.get(key);
+        if (pending) {
+            if (onProgress) {
+                if (pending.progress) {
+                    onProgress(pending.progress.loaded, pending.progress.total);
+                }
+                pending.listeners.push(onProgress);
+            }
+            return pending.request;
+        }
+
+        const download = { request: null, listeners: onProgress ? [onProgress] : [], progress: null };
+        const report = (loaded, total) => {
+            download.progress = { loaded, total };
+            download.listeners.forEach(listener => listener(loaded, total));
+        };
+
+        download.request = this._load(url, key, report)
+            .finally(() => this._pending.delete(key));
+        this._pending.set(key, download);
+        return download.request;
+    }
+
+    async _load(url, key, onProgress) {
+        const record = await this.get(key);
+        const version = new URL(url, window.location.href).searchParams.get('v');
+
+        // Versioned URLs name their content hash, so a matching entry needs no request
+        if (record && version && GemCache.hashOf(record.etag) === version) {
+            return this.useRecord(record, onProgress);
+        }
+
+        const headers = {};
+        if (record && !version && record.etag) {
+            headers['If-None-Match'] = record.etag;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { headers });
+        } catch (error) {
+            // Offline: an outdated gem is better than none
+            if (record) {
+                console.warn(`Network unavailable, using cached gem: ${url}`);
+                return this.useRecord(record, onProgress);
+            }
+            throw error;
+        }
+
+        if (response.status === 304 && record) {
+            return this.useRecord(record, onProgress);
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load gem: ${response.status} ${url}`);
+        }
+
+        const buffer = await GemCache.readBody(response, onProgress);
+
+        // Store a copy so the runtime is free to consume the returned buffer
+        const etag = response.headers.get('ETag') || (version ? `"${version}"` : null);
+        if (etag) {
+            this.put(key, etag, buffer.slice(0)).catch(error => {
+                console.warn('Could not cache gem:', error);
+            });
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Stream a response body into an ArrayBuffer, reporting progress as bytes arrive
+     */
+    static async readBody(response, onProgress) {
+        // Compressed responses carry the decoded size separately (see server/delivery.js)
+        const decodedLength = response.headers.get('X-Decoded-Content-Length');
+        const total = Number(decodedLength
+            || (response.headers.get('Content-Encoding') ? 0 : response.headers.get('Content-Length'))) || 0;
+
+        onProgress(0, total);
+
+        // No streaming support: fall back to reading the whole body
+        if (!response.body) {
+            const buffer = await response.arrayBuffer();
+            onProgress(buffer.byteLength, buffer.byteLength);
+            return buffer;
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            chunks.push(value);
+            loaded += value.byteLength;
+            onProgress(loaded, total);
+        }
+
+        // Join the chunks into a single buffer
+        const bytes = new Uint8Array(loaded);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+
+        onProgress(loaded, loaded);
+        return bytes.buffer;
+    }
+
+    // Mark a cached gem as used and report it fully loaded
+    useRecord(record, onProgress) {
+        onProgress(record.size, record.size);
+        this.touch(record.key).catch(() => {});
+        return record.data;
+    }
+
+    /**
+     * Download gems in the background so later loads come from the cache.
+     * Gems are fetched one at a time; failures are logged and skipped.
+     */
+    async prewarm(urls) {
+        for (const url of urls) {
+            try {
+                if (!(await this.has(url))) {
+                    await this.load(url);
+                }
+            } catch (error) {
+                console.warn(`Could not prewarm gem: ${url}`, error);
+            }
+        }
+    }
+
+    /**
+     * Whether a gem is stored; for versioned URLs, whether the stored copy is that version
+     */
+    async has(url) {
+        const key = GemCache.keyFor(url);
+        const version = new URL(url, window.location.href).searchParams.get('v');
+        try {
+            const entry = await this.transaction('readonly', entries => {
+                const request = entries.get(key);
+                return () => request.result;
+            });
+            return Boolean(entry) && (!version || GemCache.hashOf(entry.etag) === version);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Open (once) the database, recreating the stores when the cache version changes.
+    // Metadata lives apart from the bytes so eviction can scan it cheaply.
+    open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.name, GemCache.VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+                    db.createObjectStore('entries', { keyPath: 'key' });
+                    db.createObjectStore('data');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Allow a later call to retry
+                this._db = null;
+                throw error;
+            });
+        }
+        return this._db;
+    }
+
+    // Run fn(entries, data) in a transaction over both stores and resolve with its return value
+    // once the transaction completes (request results are read by then)
+    async transaction(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['entries', 'data'], mode);
+            const result = fn(transaction.objectStore('entries'), transaction.objectStore('data'));
+            transaction.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Stored record ({ key, etag, size, storedAt, lastUsed, data }) for a key,
+     * or null (also when IndexedDB is unavailable)
+     */
+    async get(key) {
+        try {
+            return await this.transaction('readonly', (entries, data) => {
+                const entry = entries.get(key);
+                const bytes = data.get(key);
+                return () => entry.result && bytes.result
+                    ? { ...entry.result, data: bytes.result }
+                    : null;
+            });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store a gem's bytes under its key and ETag, then evict to stay within budget
+     */
+    async put(key, etag, bytes) {
+        // Gems larger than the whole budget are never stored
+        if (bytes.byteLength > this.maxBytes) return;
+
+        const now = Date.now();
+        await this.transaction('readwrite', (entries, data) => {
+            entries.put({ key, etag, size: bytes.byteLength, storedAt: now, lastUsed: now });
+            data.put(bytes, key);
+        });
+        await this.evict();
+    }
+
+    // Update a record's last use time
+    touch(key) {
+        return this.transaction('readwrite', entries => {
+            const request = entries.get(key);
+            request.onsuccess = () => {
+                if (request.result) {
+                    entries.put({ ...request.result, lastUsed: Date.now() });
+                }
+            };
+        });
+    }
+
+    /**
+     * Remove least recently used gems until the cache fits maxBytes and maxEntries
+     */
+    evict() {
+        return this.transaction('readwrite', (entries, data) => {
+            const request = entries.getAll();
+            request.onsuccess = () => {
+                const records = request.result.sort((a, b) => a.lastUsed - b.lastUsed);
+                let bytes = records.reduce((sum, record) => sum + record.size, 0);
+                let count = records.length;
+
+                for (const record of records) {
+                    if (bytes <= this.maxBytes && count <= this.maxEntries) break;
+                    entries.delete(record.key);
+                    data.delete(record.key);
+                    bytes -= record.size;
+                    count--;
+                }
+            };
+        });
+    }
+
+    /**
+     * Remove a gem from the cache
+     */
+    delete(url) {
+        const key = GemCache.keyFor(url);
+        return this.transaction('readwrite', (entries, data) => {
+            entries.delete(key);
+            data.delete(key);
+        });
+    }
+
+    /**
+     * Remove every stored gem
+     */
+    clear() {
+        return this.transaction('readwrite', (entries, data) => {
+            entries.clear();
+            data.clear();
+        });
+    }
+}
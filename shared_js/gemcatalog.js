@@ -0,0 +1,71 @@
+/**
+ * Client for the gem catalog served at /api/gems
+ */
+export class GemCatalog {
+
+    // Shared catalog request so the page only fetches it once
+    static _loadPromise = null;
+
+    constructor(data) {
+        this.defaultId = data.default;
+        this.gems = data.gems || [];
+    }
+
+    /**
+     * Fetch the catalog (once) and resolve with a GemCatalog instance
+     */
+    static load(url = '/api/gems') {
+        if (!GemCatalog._loadPromise) {
+            GemCatalog._loadPromise = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load gem catalog: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => new GemCatalog(data))
+                .catch(error => {
+                    // Allow a later call to retry
+                    GemCatalog._loadPromise = null;
+                    throw error;
+                });
+        }
+        return GemCatalog._loadPromise;
+    }
+
+    // Default gem entry
+    get defaultGem() {
+        return this.getById(this.defaultId) || this.gems[0] || null;
+    }
+
+    // Find a gem by id (e.g. 'flying-lotus')
+    getById(id) {
+        return this.gems.find(gem => gem.id === id) || null;
+    }
+
+    // Find a gem by catalog number (e.g. '195')
+    getByNumber(number) {
+        return this.gems.find(gem => gem.number === String(number)) || null;
+    }
+
+    // Find a gem by label and catalog number (e.g. 'warp', '195')
+    getByCatalogNumber(label, number) {
+        return this.gems.find(gem =>
+            gem.label === String(label).toLowerCase() && gem.number === String(number)
+        ) || null;
+    }
+
+    // Find a gem by its slug (the gem id, as in /gem/:slug)
+    getBySlug(slug) {
+        return this.getById(slug);
+    }
+
+    // The count gems following a gem in catalog order, wrapping around
+    nextGems(gem, count = 1) {
+        const index = this.gems.indexOf(gem);
+        const others = Math.min(count, this.gems.length - 1);
+        return Array.from({ length: Math.max(others, 0) }, (_, i) =>
+            this.gems[(index + 1 + i) % this.gems.length]
+        );
+    }
+}
@@ -6,18 +6,67 @@ import { ViewState } from './viewstate.js';
 import { ZoomControl } from './zoomcontrol.js';
 import { DriftControl } from './driftcontrol.js';
 import { RotationControl } from './rotationcontrol.js';
+import { GestureRecognizer } from './gesturerecognizer.js';
 import { ThemeColor } from './themecolor.js';
 import { ThemeContent } from './themecontent.js';
+import { InputFocus } from './inputfocus.js';
+import { SplineAdapter } from './splineadapter.js';
+import { RendererPool } from './rendererpool.mjs';
+import { GemCache } from './gemcache.js';
+import { validateGem, GemValidationError, GemValidationCodes } from './gemvalidator.mjs';
 
 /**
  * GemPlayer - Custom Element for embedding Gems
- * Usage: <gem-player url="path/to/file.gem"></gem-player>
+ * Usage: <gem-player url="path/to/file.gem" gem="id" artist="..." album="..." published="..."
+ *                    bg-color="#433D37" text-color="#f0f0f0"></gem-player>
  * Style with standard CSS: width, height, background-color
+ * Metadata and color attributes update live without reloading the scene.
+ *
+ * The canvas, text overlay and motion permission panel render in the player's shadow root.
+ * Style them with ::part(canvas | text-overlay | artist | album | published | panel) and the
+ * custom properties --gem-text-color, --gem-font-family, --gem-fade-duration,
+ * --gem-panel-background and --gem-panel-color.
+ * The document (body colors, theme-color meta tag) is only themed when the
+ * theme-document attribute is set.
+ *
+ * Several players can share a page: wheel and pinches zoom the player under the cursor,
+ * device orientation only reaches the focused or hovered player, and live WebGL renderers
+ * are shared through a RendererPool: at most MAX_ACTIVE_RENDERERS exist, handed from players
+ * out of view to players coming into view; beyond that, players in view wait for one with
+ * the loader showing.
+ *
+ * Host pages can drive the player with load(), rotateTo(), zoomTo(), resetView(),
+ * pause(), resume() and getState(); the animated methods return promises.
+ *
+ * Wheel, trackpad and touch pinches zoom continuously towards the cursor or pinch center,
+ * between the min-distance and max-distance attributes (camera distances; by default the
+ * base distance for the screen size and MAX_ZOOM times closer).
+ * Pointer input goes through one GestureRecognizer on the canvas, on mouse, pen and touch
+ * alike: drags turn the gem, two-finger twists roll it, two-finger pans shift the zoomed
+ * view and double taps zoom in at the tap (or back out). Flung drags keep spinning, slowing
+ * with SPIN_FRICTION, between spinstart ({ velocity }) and spinend ({ interrupted }) events.
+ *
+ * Once idle the gem auto-rotates by the auto-rotate attribute: snap (default) back to the
+ * nearest of auto-rotate-poses (degrees or front, back, spine; front and back by default)
+ * after a drag, turntable spin or pingpong sweep at auto-rotate-speed degrees per second, or
+ * off. autorotationcomplete ({ mode, rotation }) reports each snap, revolution and sweep end.
+ *
+ * Gem files are streamed, dispatching loadprogress events ({ url, loaded, total, progress }).
+ * Set the progress-ring attribute for the built-in ring (::part(progress-ring),
+ * --gem-progress-color), or put a custom loader in slot="loader"; either is shown while loading.
+ * Downloaded gems are kept in GemPlayer.gemCache; GemPlayer.prewarm(urls) fetches gems ahead of use.
+ *
+ * Changing url (or calling load()) swaps the scene in place, crossfading from the old gem
+ * over transition-duration ms (0 disables) with transition-easing (see GemPlayer.easings).
+ *
+ * Scenes are checked with the shared gem validator once started. A gem that fails to load
+ * or validate dispatches sceneerror with { error, code, errors }, code being one of
+ * GemValidationCodes (e.g. 'missing-object', or 'load-failed' for download and decode errors).
  */
 export class GemPlayer extends HTMLElement {
 
-    // Static cache for loaded gem files - prevents duplicate downloads
-    static gemCache = {};
+    // Persistent cache of gem file bytes shared by all players (IndexedDB, keyed by URL and ETag)
+    static gemCache = new GemCache();
 
     // Static constants
     static Constants = {
@@ -36,6 +85,9 @@ export class GemPlayer extends HTMLElement {
 		// Maximum zoom value (magnification scale, e.g. 2 = 2x zoom)
 		MAX_ZOOM: 2,
 
+		// Camera's vertical field of view in degrees when the scene doesn't tell
+		FIELD_OF_VIEW: 45,
+
 		// General timing values
 
 		// Time to wait between when the scene starts and when the fade-in starts in milliseconds
@@ -60,6 +112,9 @@ export class GemPlayer extends HTMLElement {
 		// Vertical (up or down) limit on rotation control in degrees
         VERTICAL_ROTATION_LIMIT: 45,
 
+		// Share of spin velocity kept per frame after a fling (lower stops sooner)
+        SPIN_FRICTION: 0.95,
+
 		// Auto-rotation (of RotationControl) values
 
 		// Delay from rotation control restitution to auto-rotation start in milliseconds
@@ -68,6 +123,15 @@ export class GemPlayer extends HTMLElement {
 		// Duration of auto-rotation animation in milliseconds
         AUTO_ROTATE_DURATION: 1600,
 
+		// Default auto-rotation mode ('snap', 'turntable', 'pingpong' or 'off')
+        AUTO_ROTATE_MODE: 'snap',
+
+		// Turntable and ping-pong speed in degrees per second
+        AUTO_ROTATE_SPEED: 20,
+
+		// Ping-pong sweep either side of the nearest pose in degrees
+        AUTO_ROTATE_SWEEP: 30,
+
 		// DriftControl values
 
 		// Maximum rotation amount in all directions for drift control, in degrees
@@ -77,11 +141,216 @@ export class GemPlayer extends HTMLElement {
 
 		// Whether to invert the direction of drift control
 		INVERT_ROTATION_DRIFT: true,
+
+		// Renderer pool values
+
+		// Maximum number of players on a page holding a live WebGL renderer at once
+		MAX_ACTIVE_RENDERERS: 4,
+
+		// Scene swap values
+
+		// Default duration of the crossfade between gems in milliseconds
+		CROSSFADE_DURATION: 800,
+
+		// Default easing of the crossfade between gems (a key of GemPlayer.easings)
+		CROSSFADE_EASING: 'ease-in-out',
     };
+
+    // Easing functions for the crossfade between gems
+    static easings = {
+        'linear': t => t,
+        'ease-in': t => t * t,
+        'ease-out': t => t * (2 - t),
+        'ease-in-out': t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t
+    };
+
+    // Live renderers shared by all players on the page
+    static rendererPool = new RendererPool(GemPlayer.Constants.MAX_ACTIVE_RENDERERS);
+
+    // Metadata keys accepted by load() and the attributes they set
+    static metadataAttributes = {
+        gem: 'gem',
+        artist: 'artist',
+        album: 'album',
+        published: 'published',
+        bgColor: 'bg-color',
+        textColor: 'text-color'
+    };
+
+    // Shadow root styles and markup (the canvas and text overlay are added by init())
+    static template = `
+        <style>
+            :host {
+                display: block;
+                position: relative;
+                overflow: hidden;
+                font-family: var(--gem-font-family, inherit);
+            }
+
+            /* Fade-in transition for canvas */
+            .gem-canvas {
+                opacity: 0;
+                transition: opacity var(--gem-fade-duration, 0.8s) ease-in-out;
+            }
+
+            .gem-canvas.loaded {
+                opacity: 1;
+            }
+
+            /* Text overlay container */
+            .text-overlay {
+                position: absolute;
+                width: 100%;
+                height: 100%;
+                top: 1.5%;
+                text-align: left;
+                margin-left: 2em;
+                pointer-events: none;
+                z-index: 20;
+                color: var(--gem-text-color, inherit);
+                animation: fadeIn 1s ease-in-out forwards;
+                opacity: 0;
+            }
+
+            @keyframes fadeIn {
+                from {
+                    opacity: 0;
+                }
+                to {
+                    opacity: 1;
+                }
+            }
+
+            .text-overlay div {
+                font-size: 1em;
+            }
+
+            .artist-name {
+                font-size: 1.5em;
+                font-weight: 500;
+                margin-bottom: -0.2em;
+                opacity: 0.8;
+            }
+
+            .album-title {
+                font-size: 1em;
+                font-weight: 300;
+                opacity: 0.4;
+            }
+
+            .published {
+                position: absolute;
+                bottom: 4%;
+                text-align: left;
+                pointer-events: none;
+                z-index: 10;
+                font-size: 0.74em;
+                opacity: 0.4;
+            }
+
+            /* Loader shown while a gem file downloads */
+            .loader {
+                position: absolute;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                z-index: 15;
+                pointer-events: none;
+                opacity: 0;
+                transition: opacity 0.3s ease-in-out;
+            }
+
+            .loader.active {
+                opacity: 1;
+            }
+
+            .progress-ring {
+                display: none;
+                width: 48px;
+                height: 48px;
+                transform: rotate(-90deg);
+            }
+
+            :host([progress-ring]) .progress-ring {
+                display: block;
+            }
+
+            .progress-ring circle {
+                fill: none;
+                stroke: var(--gem-progress-color, currentColor);
+                stroke-width: 3;
+            }
+
+            .progress-ring .progress-track {
+                opacity: 0.2;
+            }
+
+            .progress-ring .progress-value {
+                stroke-linecap: round;
+                transition: stroke-dashoffset 0.2s linear;
+            }
+
+            /* Unknown total size: spin a fixed arc */
+            .progress-ring.indeterminate {
+                animation: spin 1s linear infinite;
+            }
+
+            @keyframes spin {
+                from {
+                    transform: rotate(-90deg);
+                }
+                to {
+                    transform: rotate(270deg);
+                }
+            }
+
+            /* Motion permission panel, shown by DriftControl when motion needs a tap */
+            .panel-overlay {
+                display: flex;
+                visibility: hidden;
+                opacity: 0;
+                z-index: 10;
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background-color: var(--gem-panel-background, rgba(67, 61, 56, 0.5));
+                justify-content: center;
+                align-items: center;
+                font-size: 4em;
+                font-weight: 500;
+                color: var(--gem-panel-color, rgba(255, 255, 255, 0.5));
+                text-shadow: 0 0 64px rgba(255, 255, 255, 0.7);
+                -webkit-backdrop-filter: blur(10px);
+                backdrop-filter: blur(10px);
+                transition: 0.5s;
+            }
+
+            @media (max-width: 480px) {
+                .published {
+                    display: none;
+                }
+            }
+        </style>
+        <div class="panel-overlay" part="panel">TAP</div>
+        <div class="loader" part="loader">
+            <slot name="loader">
+                <svg class="progress-ring" part="progress-ring" viewBox="0 0 48 48">
+                    <circle class="progress-track" cx="24" cy="24" r="20"></circle>
+                    <circle class="progress-value" cx="24" cy="24" r="20"></circle>
+                </svg>
+            </slot>
+        </div>
+    `;
+
+    // Circumference of the progress ring circle (r = 20)
+    static PROGRESS_RING_LENGTH = 2 * Math.PI * 20;
     
     // Define observed attributes
     static get observedAttributes() {
-        return ['url'];
+        return ['url', 'gem', 'artist', 'album', 'published', 'bg-color', 'text-color', 'theme-document',
+            'auto-rotate', 'auto-rotate-poses', 'auto-rotate-speed'];
     }
     
     constructor() {
@@ -108,15 +377,53 @@ export class GemPlayer extends HTMLElement {
         this.driftControl = null;
         this.rotationControl = null;
 
-        // Theme color control
-        this.themeColor = new ThemeColor();
+        // Render into a shadow root so several players never share page elements
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = GemPlayer.template;
+        this.panelOverlay = this.shadowRoot.querySelector('.panel-overlay');
+
+        // Loader and built-in progress ring
+        this.loader = this.shadowRoot.querySelector('.loader');
+        this.loaderSlot = this.shadowRoot.querySelector('slot[name="loader"]');
+        this.progressRing = this.shadowRoot.querySelector('.progress-ring');
+        this.progressValue = this.shadowRoot.querySelector('.progress-value');
+        this.progressValue.style.strokeDasharray = GemPlayer.PROGRESS_RING_LENGTH;
+        this.progressValue.style.strokeDashoffset = GemPlayer.PROGRESS_RING_LENGTH;
+
+        // Whether the inline background color is the bg-color attribute's, to remove with it
+        this.bgColorApplied = false;
+
+        // Theme color control (document theming is enabled by the theme-document attribute)
+        this.themeColor = new ThemeColor({
+            host: this,
+            panelOverlay: this.panelOverlay,
+            themeDocument: this.hasAttribute('theme-document')
+        });
 
         // Theme content control
-        this.themeContent = new ThemeContent();
+        this.themeContent = new ThemeContent(this.shadowRoot);
 
         // Fade-in condition tracking
         this.safetyTimerComplete = false;
         this.sceneStarted = false;
+
+        // Visibility tracking for the renderer pool
+        this.isVisible = false;
+        this._visibilityObserver = null;
+
+        // Paused through the pause() API (stays paused when scrolled back into view)
+        this.paused = false;
+
+        // Running crossfade between scenes, if any
+        this.crossfade = null;
+
+        // Set while load() updates the url attribute itself
+        this._loadingFromApi = false;
+
+        // Promise resolving once the current scene is loaded and its controls are ready
+        this.sceneReady = null;
+        this._sceneReady = null;
+        this.resetSceneReady();
     }
     
     // Called when the element is added to the document
@@ -128,8 +435,18 @@ export class GemPlayer extends HTMLElement {
         if (!this.style.display) {
             this.style.display = 'block';
         }
-        
-        this.init();
+
+        // Make the player focusable so it can take keyboard focus and page-wide input
+        if (!this.hasAttribute('tabindex')) {
+            this.tabIndex = 0;
+        }
+        InputFocus.register(this);
+
+        // Only initialize (and hold a renderer) while the player is in view
+        this._visibilityObserver = new IntersectionObserver(entries => {
+            this.handleVisibility(entries[entries.length - 1].isIntersecting);
+        });
+        this._visibilityObserver.observe(this);
         
         // Start safety timer for fade-in
         setTimeout(() => {
@@ -140,20 +457,168 @@ export class GemPlayer extends HTMLElement {
     
     // Clean up when element is removed
     disconnectedCallback() {
+
+        // Stop tracking visibility and input
+        if (this._visibilityObserver) {
+            this._visibilityObserver.disconnect();
+            this._visibilityObserver = null;
+        }
+        InputFocus.unregister(this);
         
         // Clean up all controls
         this.cleanup();
+
+        // Give the renderer back to the pool
+        this.spline = null;
+        this.canvas = null;
+        GemPlayer.rendererPool.release(this);
+    }
+
+    /**
+     * Start, resume or pause rendering as the player scrolls in and out of view
+     */
+    handleVisibility(isVisible) {
+        this.isVisible = isVisible;
+        const pool = GemPlayer.rendererPool;
+
+        if (isVisible) {
+            if (!this.spline) {
+                // First time in view, or renderer handed to another player: get one, or
+                // wait with the loader showing until one comes free (see grantRenderer())
+                pool.acquire(this);
+                if (pool.isWaiting(this)) {
+                    this.showLoader(true);
+                }
+            } else {
+                pool.touch(this);
+                if (!this.paused) {
+                    this.spline.play();
+                }
+            }
+        } else if (pool.isWaiting(this)) {
+            // Out of view before a renderer came free
+            pool.release(this);
+            this.showLoader(false);
+        } else if (this.spline) {
+            // Keep the renderer but stop drawing while out of view, unless a player in view needs it
+            this.spline.stop();
+            pool.hide(this);
+        }
+    }
+
+    /**
+     * Take a renderer from the pool: one handed over by another player ({ canvas, spline }),
+     * or null to create one, and load the gem into it
+     */
+    grantRenderer(renderer) {
+        this.init(renderer);
+    }
+
+    /**
+     * Give up the renderer, keeping its WebGL context alive for the player it is handed to
+     * (called by the renderer pool). The player gets one again the next time it comes into view.
+     */
+    releaseRenderer() {
+        console.log(`Handing over renderer of: ${this.url}`);
+
+        this.cleanupControls();
+        this.endCrossfade();
+
+        const renderer = { canvas: this.canvas, spline: this.spline };
+
+        // The canvas keeps no trace of this player
+        this.spline.removeEventListener('start', this._startHandler);
+        this._startHandler = null;
+        this.spline.stop();
+        this.canvas.classList.remove('loaded');
+        this.canvas.remove();
+
+        this.spline = null;
+        this.canvas = null;
+
+        this.sceneStarted = false;
+        this.scene = {
+            all: null,
+            camera: null,
+            gem: null
+        };
+
+        // The scene is loaded again when the player comes back into view
+        this.resetSceneReady();
+
+        return renderer;
+    }
+
+    /**
+     * Start a new sceneReady promise, unless callers are still waiting on the current one
+     */
+    resetSceneReady() {
+        if (this._sceneReady) return;
+
+        this.sceneReady = new Promise((resolve, reject) => {
+            this._sceneReady = { resolve, reject };
+        });
+
+        // Avoid unhandled rejections when nobody is waiting
+        this.sceneReady.catch(() => {});
+    }
+
+    /**
+     * Resolve (or reject, on error) the pending sceneReady promise
+     */
+    settleSceneReady(error) {
+        if (!this._sceneReady) return;
+
+        const { resolve, reject } = this._sceneReady;
+        this._sceneReady = null;
+        if (error) {
+            reject(error);
+        } else {
+            resolve();
+        }
     }
     
     // Called when attributes change
     attributeChangedCallback(name, oldValue, newValue) {
         if (oldValue === newValue) return;
         
-        if (name === 'url' && this.spline) {
-            // Reset conditions when URL changes
-            this.safetyTimerComplete = false;
-            this.sceneStarted = false;
-            this.loadScene(newValue);
+        switch (name) {
+            case 'url':
+                this.resetSceneReady();
+                if (this.spline && !this._loadingFromApi) {
+                    this.loadScene(newValue);
+                }
+                break;
+
+            case 'gem':
+            case 'artist':
+            case 'album':
+            case 'published':
+                // Metadata only affects the text overlay
+                this.themeContent.updateContent(this);
+                break;
+
+            case 'bg-color':
+            case 'text-color':
+                this.updateColors();
+                break;
+
+            case 'theme-document':
+                this.themeColor.themeDocument = newValue !== null;
+                this.updateColors();
+                break;
+
+            case 'auto-rotate':
+            case 'auto-rotate-poses':
+            case 'auto-rotate-speed':
+                if (this.rotationControl) {
+                    this.rotationControl.setAutoRotate({
+                        mode: this.autoRotate,
+                        poses: this.autoRotatePoses,
+                        speed: this.autoRotateSpeed
+                    });
+                }
+                break;
         }
     }
     
@@ -161,6 +626,114 @@ export class GemPlayer extends HTMLElement {
     get url() {
         return this.getAttribute('url');
     }
+
+    // Reflected metadata attributes
+    get gem() {
+        return this.getAttribute('gem');
+    }
+
+    set gem(value) {
+        this.setAttribute('gem', value);
+    }
+
+    get artist() {
+        return this.getAttribute('artist');
+    }
+
+    set artist(value) {
+        this.setAttribute('artist', value);
+    }
+
+    get album() {
+        return this.getAttribute('album');
+    }
+
+    set album(value) {
+        this.setAttribute('album', value);
+    }
+
+    get published() {
+        return this.getAttribute('published');
+    }
+
+    set published(value) {
+        this.setAttribute('published', value);
+    }
+
+    get bgColor() {
+        return this.getAttribute('bg-color');
+    }
+
+    set bgColor(value) {
+        this.setAttribute('bg-color', value);
+    }
+
+    get textColor() {
+        return this.getAttribute('text-color');
+    }
+
+    set textColor(value) {
+        this.setAttribute('text-color', value);
+    }
+
+    // Closest camera distance for zooming (null for the default)
+    get minDistance() {
+        const distance = parseFloat(this.getAttribute('min-distance'));
+        return distance > 0 ? distance : null;
+    }
+
+    // Furthest camera distance for zooming (null for the default)
+    get maxDistance() {
+        const distance = parseFloat(this.getAttribute('max-distance'));
+        return distance > 0 ? distance : null;
+    }
+
+    // Auto-rotation mode ('snap', 'turntable', 'pingpong' or 'off')
+    get autoRotate() {
+        const mode = this.getAttribute('auto-rotate');
+        return RotationControl.autoRotateModes.includes(mode) ? mode : GemPlayer.Constants.AUTO_ROTATE_MODE;
+    }
+
+    set autoRotate(value) {
+        this.setAttribute('auto-rotate', value);
+    }
+
+    // Auto-rotation poses in degrees, from names (front, back, spine) and numbers separated by
+    // spaces or commas; null for the default front and back
+    get autoRotatePoses() {
+        const poses = (this.getAttribute('auto-rotate-poses') || '')
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .map(pose => pose in RotationControl.poses ? RotationControl.poses[pose] : parseFloat(pose))
+            .filter(Number.isFinite);
+        return poses.length ? poses : null;
+    }
+
+    // Turntable and ping-pong speed in degrees per second
+    get autoRotateSpeed() {
+        const speed = parseFloat(this.getAttribute('auto-rotate-speed'));
+        return speed > 0 ? speed : GemPlayer.Constants.AUTO_ROTATE_SPEED;
+    }
+
+    // Crossfade duration in ms for scene swaps
+    get transitionDuration() {
+        const duration = parseFloat(this.getAttribute('transition-duration'));
+        return Number.isFinite(duration) ? duration : GemPlayer.Constants.CROSSFADE_DURATION;
+    }
+
+    // Crossfade easing name for scene swaps
+    get transitionEasing() {
+        return this.getAttribute('transition-easing') || GemPlayer.Constants.CROSSFADE_EASING;
+    }
+
+    // Boolean attribute: whether the player themes the whole document
+    get themeDocument() {
+        return this.hasAttribute('theme-document');
+    }
+
+    set themeDocument(value) {
+        this.toggleAttribute('theme-document', Boolean(value));
+    }
     
     /**
      * Check if both fade-in conditions are met, and fade in if they are
@@ -186,12 +759,22 @@ export class GemPlayer extends HTMLElement {
      * Initialize all controls (zoom, drift, orbit)
      */
     initControls() {
+
+        // Pointer gestures on the canvas, shared by the zoom and rotation controls
+        this.gestures = new GestureRecognizer(this.canvas);
 		
-        // Initialize zoom control first since it sets initial camera position
+        // Initialize zoom control first since it sets initial camera position. Its wheel and
+        // gesture events only reach the player under the cursor, so it isn't gated on InputFocus.
         this.zoomControl = new ZoomControl(this.cameraViewModel, {
+            target: this,
+            gestures: this.gestures,
             mobileWidth: GemPlayer.Constants.MOBILE_WIDTH,
             mobilePosition: GemPlayer.Constants.MOBILE_POSITION,
-			maxZoon: GemPlayer.Constants.MAX_ZOOM,
+			maxZoom: GemPlayer.Constants.MAX_ZOOM,
+            minDistance: this.minDistance,
+            maxDistance: this.maxDistance,
+            fieldOfView: () => (this.spline && this.spline._camera && this.spline._camera.fov) ||
+                GemPlayer.Constants.FIELD_OF_VIEW,
             desktopPosition: GemPlayer.Constants.DESKTOP_POSITION,
             debounceDelay: GemPlayer.Constants.DEBOUNCE_DELAY
         });
@@ -199,18 +782,26 @@ export class GemPlayer extends HTMLElement {
 
         // Initialize drift control for camera orbit
         this.driftControl = new DriftControl(this.cameraViewModel, this.canvas, {
+            permissionOverlay: this.panelOverlay,
+            isActive: () => InputFocus.isActive(this),
             maxRotationDrift: GemPlayer.Constants.MAX_ROTATION_DRIFT,
             invertRotationDrift: GemPlayer.Constants.INVERT_ROTATION_DRIFT
         });
 
         // Initialize rotation control
         this.rotationControl = new RotationControl(this.gemViewModel, this.canvas, {
+            gestures: this.gestures,
             sensitivity: GemPlayer.Constants.ROTATION_SENSITIVITY,
             dragEasing: GemPlayer.Constants.EASING_AMOUNT,
             verticalLimit: GemPlayer.Constants.VERTICAL_ROTATION_LIMIT,
+            spinFriction: GemPlayer.Constants.SPIN_FRICTION,
             threshold: GemPlayer.Constants.EASING_THRESHOLD,
             autoRotateDelay: GemPlayer.Constants.AUTO_ROTATE_DELAY,
-            autoRotateDuration: GemPlayer.Constants.AUTO_ROTATE_DURATION
+            autoRotateDuration: GemPlayer.Constants.AUTO_ROTATE_DURATION,
+            autoRotateMode: this.autoRotate,
+            autoRotatePoses: this.autoRotatePoses,
+            autoRotateSpeed: this.autoRotateSpeed,
+            autoRotateSweep: GemPlayer.Constants.AUTO_ROTATE_SWEEP
         });
 
     }
@@ -220,6 +811,25 @@ export class GemPlayer extends HTMLElement {
      */
     cleanup() {
 		
+        this.cleanupControls();
+
+        // Clean up theme color
+        this.themeColor.cleanup();
+        
+        // Clean up theme content
+        this.themeContent.cleanup();
+        
+        // Clean up Spline
+        if (this.spline) {
+            this.spline.dispose();
+        }
+    }
+
+    /**
+     * Clean up the input controls
+     */
+    cleanupControls() {
+
         // Clean up zoom control
         if (this.zoomControl) {
             this.zoomControl.cleanup();
@@ -238,15 +848,10 @@ export class GemPlayer extends HTMLElement {
             this.rotationControl = null;
         }
 
-        // Clean up theme color
-        this.themeColor.cleanup();
-        
-        // Clean up theme content
-        this.themeContent.cleanup();
-        
-        // Clean up Spline
-        if (this.spline) {
-            this.spline.dispose();
+        // Clean up the gestures they shared
+        if (this.gestures) {
+            this.gestures.cleanup();
+            this.gestures = null;
         }
     }
 
@@ -254,32 +859,142 @@ export class GemPlayer extends HTMLElement {
      * Update theme colors across the document
      */
     updateThemeColors() {
+        this.applyBgColor();
+
         // Get the computed background color from the gem-player element
         const bgColor = getComputedStyle(this).backgroundColor;
         
         // Update all colors through ThemeColor
-        this.themeColor.setColor(bgColor);
+        this.themeColor.setColor(bgColor, this.textColor);
         
         // Update content from attributes
         this.themeContent.updateContent(this);
     }
 
     /**
-     * Initialize the player
+     * Copy the bg-color attribute, which takes precedence over the inline/CSS background
+     * color, into the inline style. Once the attribute is removed the page's color applies again.
      */
-    async init() {
+    applyBgColor() {
+        if (this.bgColor) {
+            this.style.backgroundColor = this.bgColor;
+            this.bgColorApplied = true;
+        } else if (this.bgColorApplied) {
+            this.style.removeProperty('background-color');
+            this.bgColorApplied = false;
+        }
+    }
+
+    /**
+     * Apply changed bg-color/text-color attributes to the page and the running scene
+     */
+    updateColors() {
+        // Colors are applied on init() when not yet in the document
+        if (!this.isConnected) return;
+
+        this.applyBgColor();
+        const bgColor = getComputedStyle(this).backgroundColor;
+
+        this.themeColor.setColor(bgColor, this.textColor);
+
+        // Update the scene background without reloading
+        if (this.spline && this.scene.all) {
+            this.spline.setBackgroundColor(bgColor);
+        }
+    }
+
+    /**
+     * Initialize the player, in a renderer handed over by another player ({ canvas, spline })
+     * or a new one
+     */
+    async init(renderer = null) {
+        if (renderer) {
+            this.canvas = renderer.canvas;
+            this.spline = renderer.spline;
+            this.shadowRoot.appendChild(this.canvas);
+            this.updateThemeColors();
+        } else {
+            this.createRenderer();
+        }
+        
+        // Add event listener for 'start' event (removed again if the renderer is handed over)
+        this._startHandler = () => {
+
+            // Listen for Spline's own pointer events on this canvas only, not the window
+            this.spline?.setGlobalEvents(false);
+            
+            // Disable built-in orbit and pan controls
+            if (this.spline.eventManager?.controlsManager) {
+                if (this.spline.eventManager.controlsManager.orbitControls) {
+                    this.spline.eventManager.controlsManager.orbitControls.enabled = false;
+                }
+                if (this.spline.eventManager.controlsManager.panControls) {
+                    this.spline.eventManager.controlsManager.panControls.enabled = false;
+                }
+            }
+            
+            // Dispatch a custom event when the scene starts
+            this.dispatchEvent(new CustomEvent('scenestart', { 
+                bubbles: true,
+                composed: true
+            }));
+            
+            // Mark scene as started for fade-in condition
+            this.sceneStarted = true;
+            this.checkFadeInConditions();
+        };
+        this.spline.addEventListener('start', this._startHandler);
+        
+        // Gem URL
+        const loadUrl = this.url;
+        console.log(`Loading Gem file: ${loadUrl}`);
+        
+        // Load the scene
+        const spline = this.spline;
+        try {
+            await this.loadGem(loadUrl, spline);
+        } catch (error) {
+            console.error('Error loading Gem file:', error);
+            this.dispatchSceneError(error);
+            this.settleSceneReady(error);
+            return;
+        }
+
+        // Stop if the renderer was handed over or the player removed while loading
+        if (this.spline !== spline) return;
+
+        // Keep a player paused through the API paused after reloading; a handed over
+        // renderer was stopped by its previous player
+        if (this.paused) {
+            this.spline.stop();
+        } else {
+            this.spline.play();
+        }
+        
+        this.setupScene();
+
+        this.settleSceneReady();
+    }
+
+    /**
+     * Create the canvas and Spline application
+     */
+    createRenderer() {
         // Create canvas element programmatically
         this.canvas = document.createElement('canvas');
-        this.canvas.id = 'canvas3d';
         this.canvas.classList.add('gem-canvas');
+        this.canvas.setAttribute('part', 'canvas');
         
         // Style the canvas to fill the component
         this.canvas.style.width = '100%';
         this.canvas.style.height = '100%';
         this.canvas.style.display = 'block';
+
+        // Pinches and drags are handled by the controls rather than scrolling the page
+        this.canvas.style.touchAction = 'none';
         
-        // Add canvas to the component's DOM
-        this.appendChild(this.canvas);
+        // Add canvas to the component's shadow root
+        this.shadowRoot.appendChild(this.canvas);
         
         // Update theme colors
         this.updateThemeColors();
@@ -302,38 +1017,12 @@ export class GemPlayer extends HTMLElement {
                 this.spline.eventManager.controlsManager.orbitControls.enableWheel = false;
             }
         }
-        
-        // Add event listener for 'start' event
-        this.spline.addEventListener('start', () => {
-            
-            // Disable built-in orbit and pan controls
-            if (this.spline.eventManager?.controlsManager) {
-                if (this.spline.eventManager.controlsManager.orbitControls) {
-                    this.spline.eventManager.controlsManager.orbitControls.enabled = false;
-                }
-                if (this.spline.eventManager.controlsManager.panControls) {
-                    this.spline.eventManager.controlsManager.panControls.enabled = false;
-                }
-            }
-            
-            // Dispatch a custom event when the scene starts
-            this.dispatchEvent(new CustomEvent('scenestart', { 
-                bubbles: true,
-                composed: true
-            }));
-            
-            // Mark scene as started for fade-in condition
-            this.sceneStarted = true;
-            this.checkFadeInConditions();
-        });
-        
-        // Gem URL
-        const loadUrl = this.url;
-        console.log(`Loading Gem file: ${loadUrl}`);
-        
-        // Load the scene
-        await this.spline.load(loadUrl);
-        
+    }
+
+    /**
+     * Find the camera and gem in a freshly started scene and set up view models and controls
+     */
+    setupScene() {
         // Get the computed background color from CSS
         const bgColor = getComputedStyle(this).backgroundColor;
         this.spline.setBackgroundColor(bgColor);
@@ -378,94 +1067,337 @@ export class GemPlayer extends HTMLElement {
     }
     
     /**
-     * Reload the scene with a new URL
+     * Swap to a new gem in place, reusing the renderer.
+     * When a scene is on screen it crossfades into the new one through the runtime's scene
+     * transition pass. Options: duration (ms), easing (name in GemPlayer.easings or a function)
+     * and onSwap, called once the new file has downloaded, just before the scenes swap.
+     * Resolves when the crossfade completes.
      */
-    async loadScene(url) {
+    async loadScene(url, { duration = this.transitionDuration, easing = this.transitionEasing, onSwap } = {}) {
+        const spline = this.spline;
+
+        // Crossfade only when a scene is on screen
+        const crossfade = Boolean(this.scene.all) && duration > 0;
+
         try {
             console.log(`Loading Gem file: ${url}`);
-            
-            // Remove loaded class before reloading
-            this.canvas.classList.remove('loaded');
-            
-            // Reset conditions when loading a new scene
-            this.safetyTimerComplete = false;
-            this.sceneStarted = false;
-            
-            // Clean up existing controls
-            this.cleanup();
-            
-            // Update theme colors
-            this.updateThemeColors();
-            
-            // Start a new safety timer
-            setTimeout(() => {
-                this.safetyTimerComplete = true;
-                this.checkFadeInConditions();
-            }, GemPlayer.Constants.FADE_IN_DELAY);
-            
-            // Check if this gem is already in the static cache
-            if (GemPlayer.gemCache[url]) {
-                console.log(`Using cached gem data for: ${url}`);
-                // Use the cached gem
-                await this.spline.load(url);
-            } else {
-                // First time loading this gem, add to cache after loading
-                console.log(`First time loading gem: ${url}`);
-                const startTime = performance.now();
-                await this.spline.load(url);
-                const loadTime = performance.now() - startTime;
-                console.log(`Gem loaded in ${loadTime.toFixed(2)}ms, adding to cache: ${url}`);
-                GemPlayer.gemCache[url] = true;
-            }
-            
-            // Apply current background color from CSS
-            const bgColor = getComputedStyle(this).backgroundColor;
-            this.spline.setBackgroundColor(bgColor);
-            
-            // Re-initialize scene objects
-            this.scene.all = this.spline.getAllObjects();
-            this.scene.camera = this.scene.all.find(obj => obj.name === 'camera');
-            this.scene.gem = this.scene.all.find(obj => obj.name === 'gem');
-            
-            // Re-initialize camera view model
-            if (this.scene.camera) {
-                this.cameraViewModel = new CameraViewModel(
-                    this.scene.camera,
-                    new ViewState(
-                        { x: 0, y: 0, z: GemPlayer.Constants.DESKTOP_POSITION },
-                        { x: Math.PI/2, y: 0, z: 0 }
-                    ),
-                    GemPlayer.Constants.EASING_AMOUNT,
-                    GemPlayer.Constants.EASING_THRESHOLD
-                );
+
+            if (!crossfade) {
+                // Remove loaded class and fade the canvas in again once the scene starts
+                this.canvas.classList.remove('loaded');
+                this.safetyTimerComplete = false;
+                this.sceneStarted = false;
+
+                setTimeout(() => {
+                    this.safetyTimerComplete = true;
+                    this.checkFadeInConditions();
+                }, GemPlayer.Constants.FADE_IN_DELAY);
             }
 
-            // Re-initialize gem view model
-            if (this.scene.gem) {
-                this.gemViewModel = new GemViewModel(
-                    this.scene.gem,
-                    new ViewState(
-                        { x: 0, y: 0, z: 0 },
-                        { x: 0, y: 0, z: 0 }
-                    ),
-                    GemPlayer.Constants.EASING_AMOUNT,
-                    GemPlayer.Constants.EASING_THRESHOLD
-                );
+            const startTime = performance.now();
+            await this.loadGem(url, spline, () => {
+                // Controls must let go of the old scene's objects before it is disposed
+                this.cleanupControls();
+
+                if (crossfade) {
+                    this.beginCrossfade(duration, easing);
+                }
+                if (onSwap) {
+                    onSwap();
+                }
+
+                // Update theme colors
+                this.updateThemeColors();
+            });
+
+            // Stop if the renderer was suspended or the player removed while loading
+            if (this.spline !== spline) return;
+
+            const loadTime = performance.now() - startTime;
+            console.log(`Gem loaded in ${loadTime.toFixed(2)}ms: ${url}`);
+
+            this.setupScene();
+            this.settleSceneReady();
+
+            if (crossfade) {
+                await this.runCrossfade();
+                this.dispatchEvent(new CustomEvent('sceneloaded', { 
+                    bubbles: true,
+                    composed: true
+                }));
             }
             
-            // Re-initialize all controls
-            this.initControls();
-            
         } catch (error) {
             console.error('Error loading Gem file:', error);
-            this.dispatchEvent(new CustomEvent('sceneerror', { 
-                detail: { error },
-                bubbles: true,
-                composed: true
-            }));
+            this.endCrossfade();
+            this.dispatchSceneError(error);
+            this.settleSceneReady(error);
+        }
+    }
+
+    /**
+     * Dispatch sceneerror with a machine-readable code (validation errors carry their own)
+     */
+    dispatchSceneError(error) {
+        this.dispatchEvent(new CustomEvent('sceneerror', { 
+            detail: {
+                error,
+                code: error instanceof GemValidationError ? error.code : GemValidationCodes.LOAD_FAILED,
+                errors: error instanceof GemValidationError ? error.errors : []
+            },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * Snapshot the current scene for a crossfade into the next one, eased with the given
+     * easing (name in GemPlayer.easings or a function)
+     */
+    beginCrossfade(duration, easing) {
+        const ease = typeof easing === 'function'
+            ? easing
+            : (GemPlayer.easings[easing] || GemPlayer.easings.linear);
+        this.crossfade = SplineAdapter.beginCrossfade(this.spline, duration, ease);
+    }
+
+    /**
+     * Start mixing from the old scene snapshot to the new scene.
+     * Resolves when the crossfade completes.
+     */
+    runCrossfade() {
+        const crossfade = this.crossfade;
+        if (!crossfade) return Promise.resolve();
+
+        crossfade.run();
+
+        return new Promise(resolve => {
+            setTimeout(() => {
+                // A later swap may have ended this crossfade and begun its own
+                if (this.crossfade === crossfade) {
+                    this.endCrossfade();
+                }
+                resolve();
+            }, crossfade.duration);
+        });
+    }
+
+    /**
+     * End the crossfade, dropping the old scene snapshot even when it never ran
+     */
+    endCrossfade() {
+        if (!this.crossfade) return;
+
+        this.crossfade.end();
+        this.crossfade = null;
+    }
+
+    /**
+     * Download a gem file with progress events and start it in a Spline application.
+     * Throws a GemValidationError when the started scene can't be driven by the player.
+     */
+    async loadGem(url, spline, beforeStart) {
+        this.showLoader(true);
+        try {
+            const buffer = await this.fetchGem(url);
+
+            // The renderer was handed to another player while downloading
+            if (this.spline !== spline) return;
+
+            if (beforeStart) {
+                beforeStart();
+            }
+
+            await SplineAdapter.start(spline, buffer);
+
+            // Without a camera and gem setupScene() would leave the controls without view models
+            const result = validateGem(spline._data, {
+                names: spline.getAllObjects().map(object => object.name)
+            });
+            if (!result.valid) {
+                throw new GemValidationError(result);
+            }
+        } finally {
+            this.showLoader(false);
         }
     }
 
+    /**
+     * Load a gem file from the cache or the network, dispatching loadprogress events
+     */
+    fetchGem(url) {
+        return GemPlayer.gemCache.load(url, {
+            onProgress: (loaded, total) => this.reportProgress(url, loaded, total)
+        });
+    }
+
+    /**
+     * Download gems into the shared cache ahead of use (e.g. the next gems in a catalog)
+     */
+    static prewarm(urls) {
+        return GemPlayer.gemCache.prewarm(urls);
+    }
+
+    /**
+     * Dispatch a loadprogress event and update the built-in progress ring
+     */
+    reportProgress(url, loaded, total) {
+        const progress = total > 0 ? Math.min(loaded / total, 1) : null;
+
+        this.progressRing.classList.toggle('indeterminate', progress === null);
+        const visible = progress === null ? 0.25 : progress;
+        this.progressValue.style.strokeDashoffset = GemPlayer.PROGRESS_RING_LENGTH * (1 - visible);
+
+        this.dispatchEvent(new CustomEvent('loadprogress', {
+            detail: { url, loaded, total, progress },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * Show or hide the loader (built-in ring when enabled, or slotted custom loader)
+     */
+    showLoader(visible) {
+        const hasCustomLoader = this.loaderSlot.assignedNodes().length > 0;
+        const enabled = hasCustomLoader || this.hasAttribute('progress-ring');
+
+        this.loader.classList.toggle('active', visible && enabled);
+        this.setAttribute('aria-busy', visible ? 'true' : 'false');
+    }
+
+    /**
+     * Load a gem, optionally updating its metadata attributes
+     * (gem, artist, album, published, bgColor, textColor) at the same time.
+     * A gem already on screen crossfades into the new one (duration in ms, easing name or function).
+     * Resolves when the scene is loaded and any crossfade has completed.
+     */
+    async load(url, { metadata, duration, easing } = {}) {
+        const applyMetadata = () => {
+            if (!metadata) return;
+            Object.entries(GemPlayer.metadataAttributes).forEach(([key, attribute]) => {
+                if (metadata[key] !== undefined && metadata[key] !== null) {
+                    this.setAttribute(attribute, metadata[key]);
+                }
+            });
+        };
+
+        if (!url || url === this.url) {
+            applyMetadata();
+            await this.sceneReady;
+            return this.getState();
+        }
+
+        if (!this.spline) {
+            // Not rendering yet: the new url loads when the player comes into view
+            applyMetadata();
+            this.setAttribute('url', url);
+            await this.sceneReady;
+            return this.getState();
+        }
+
+        // Swap in place; the metadata (and colors) change as the crossfade starts
+        this._loadingFromApi = true;
+        this.setAttribute('url', url);
+        this._loadingFromApi = false;
+
+        await this.loadScene(url, { duration, easing, onSwap: applyMetadata });
+        await this.sceneReady;
+        return this.getState();
+    }
+
+    /**
+     * Rotate the gem to x (tilt) and y (turn) angles in degrees.
+     * Resolves when the gem comes to rest at the new rotation, or as soon as the rotation is
+     * interrupted (a drag, another rotateTo() or a scene swap).
+     */
+    async rotateTo(x, y, { duration = GemPlayer.Constants.AUTO_ROTATE_DURATION } = {}) {
+        await this.sceneReady;
+        if (!this.rotationControl) return;
+
+        const { interrupted } = await this.rotationControl.rotateTo({
+            x: x * Math.PI / 180,
+            y: y * Math.PI / 180
+        }, duration);
+
+        // The gem eases to rest unless the rotation was cut short (e.g. by a scene swap)
+        if (!interrupted && this.gemViewModel) {
+            await this.gemViewModel.settled();
+        }
+    }
+
+    /**
+     * Zoom the camera to a level from 0 (base) to 2 (max zoom), fractional levels in between.
+     * Resolves when the camera comes to rest.
+     */
+    async zoomTo(level) {
+        await this.sceneReady;
+        if (!this.zoomControl) return;
+
+        await this.zoomControl.zoomTo(level);
+    }
+
+    /**
+     * Rotate the gem back to face forward and zoom out to the base level
+     */
+    async resetView({ duration = GemPlayer.Constants.AUTO_ROTATE_DURATION } = {}) {
+        await Promise.all([
+            this.rotateTo(0, 0, { duration }),
+            this.zoomTo(0)
+        ]);
+    }
+
+    /**
+     * Stop rendering and animations until resume() is called
+     */
+    async pause() {
+        this.paused = true;
+        if (this.spline) {
+            this.spline.stop();
+        }
+    }
+
+    /**
+     * Resume rendering after pause()
+     */
+    async resume() {
+        this.paused = false;
+        if (this.spline && this.isVisible) {
+            this.spline.play();
+        }
+    }
+
+    /**
+     * Snapshot of the player's gem, view and playback state
+     */
+    getState() {
+        const rotation = this.rotationControl
+            ? this.rotationControl.currentRotation
+            : { x: 0, y: 0 };
+
+        return {
+            url: this.url,
+            gem: this.gem,
+            metadata: {
+                artist: this.artist,
+                album: this.album,
+                published: this.published,
+                bgColor: this.bgColor,
+                textColor: this.textColor
+            },
+            loaded: this._sceneReady === null && Boolean(this.scene.all),
+            paused: this.paused,
+            visible: this.isVisible,
+            rotation: {
+                x: rotation.x * 180 / Math.PI,
+                y: rotation.y * 180 / Math.PI
+            },
+            autoRotate: this.autoRotate,
+            zoomLevel: this.zoomControl ? this.zoomControl.zoomLevel : 0,
+            cameraPosition: this.cameraViewModel ? this.cameraViewModel.currentPosition : null
+        };
+    }
+
     // Add this method to handle gem selection
     handleGemSelection(gemNumber) {
         // Dispatch the gemselected event
@@ -0,0 +1,141 @@
+/**
+ * Validation of gem scene documents, shared by the gem-player and the server.
+ * An ES module (.mjs) so Node can import it as well as the browser.
+ *
+ * validateGem(document) returns { valid, errors, warnings }, each problem being
+ * { code, message } with one of the codes in GemValidationCodes.
+ */
+
+// Newest document version the bundled Spline runtime (shared_js/runtime.js) supports
+export const RUNTIME_VERSION = '1.9.80';
+
+// Objects GemPlayer looks up by name to build its view models and controls
+export const REQUIRED_OBJECTS = ['camera', 'gem'];
+
+// Frame preset the player renders (other presets render at a fixed pixel size)
+export const REQUIRED_FRAME_PRESET = 'fullscreen';
+
+// Variables every gem defines for its position and rotation
+export const EXPECTED_VARIABLES = ['gemPositionX', 'gemPositionY', 'gemPositionZ',
+    'gemRotationX', 'gemRotationY', 'gemRotationZ'];
+
+// Machine-readable problem codes, also used for sceneerror events
+export const GemValidationCodes = {
+    LOAD_FAILED: 'load-failed',
+    INVALID_DOCUMENT: 'invalid-document',
+    MISSING_VERSION: 'missing-version',
+    UNSUPPORTED_VERSION: 'unsupported-version',
+    MISSING_OBJECT: 'missing-object',
+    MISSING_FRAME: 'missing-frame',
+    UNSUPPORTED_FRAME_PRESET: 'unsupported-frame-preset',
+    INVALID_VARIABLE: 'invalid-variable',
+    MISSING_VARIABLE: 'missing-variable'
+};
+
+/**
+ * Error for a gem that failed validation; code is the first error's code
+ */
+export class GemValidationError extends Error {
+    constructor(result) {
+        super(result.errors.map(error => error.message).join('; '));
+        this.name = 'GemValidationError';
+        this.code = result.errors[0].code;
+        this.errors = result.errors;
+    }
+}
+
+/**
+ * Compare dotted version strings: negative, 0 or positive like a sort comparator
+ */
+export function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Names of every object in a document's scene tree
+ */
+export function objectNames(document) {
+    const names = [];
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (node.data && node.data.name) names.push(node.data.name);
+        Array.from(node.children || []).forEach(visit);
+    };
+    Array.from((document.scene && document.scene.objects) || []).forEach(visit);
+    return names;
+}
+
+/**
+ * Validate a decoded gem document.
+ * Options: names, the scene's object names when already known (e.g. from the
+ * runtime's getAllObjects()); otherwise they are read from the document.
+ */
+export function validateGem(document, { names } = {}) {
+    const errors = [];
+    const warnings = [];
+    const codes = GemValidationCodes;
+
+    if (!document || typeof document !== 'object' || !document.scene) {
+        errors.push({ code: codes.INVALID_DOCUMENT, message: 'Not a gem scene document' });
+        return { valid: false, errors, warnings };
+    }
+
+    // Runtime version
+    if (!document.version) {
+        warnings.push({ code: codes.MISSING_VERSION, message: 'Gem has no runtime version' });
+    } else if (compareVersions(document.version, RUNTIME_VERSION) > 0) {
+        errors.push({
+            code: codes.UNSUPPORTED_VERSION,
+            message: `Gem version ${document.version} is newer than the runtime (${RUNTIME_VERSION})`
+        });
+    }
+
+    // Objects the player drives
+    const sceneNames = names || objectNames(document);
+    REQUIRED_OBJECTS.forEach(name => {
+        if (!sceneNames.includes(name)) {
+            errors.push({ code: codes.MISSING_OBJECT, message: `Gem has no object named "${name}"` });
+        }
+    });
+
+    // Frame preset (the runtime uses the first frame)
+    const frame = Object.values(document.frames || {})[0];
+    if (!frame) {
+        errors.push({ code: codes.MISSING_FRAME, message: 'Gem has no frame' });
+    } else if ((frame.preset || REQUIRED_FRAME_PRESET) !== REQUIRED_FRAME_PRESET) {
+        errors.push({
+            code: codes.UNSUPPORTED_FRAME_PRESET,
+            message: `Gem frame preset is "${frame.preset}", expected "${REQUIRED_FRAME_PRESET}"`
+        });
+    }
+
+    // Variables
+    const seen = new Set();
+    Array.from((document.shared && document.shared.variables) || []).forEach(variable => {
+        const data = variable && variable.data;
+        const name = data && data.name;
+        const type = data ? typeof data.value : 'undefined';
+
+        if (typeof name !== 'string' || name === '') {
+            errors.push({ code: codes.INVALID_VARIABLE, message: 'Gem has a variable without a name' });
+        } else if (seen.has(name)) {
+            errors.push({ code: codes.INVALID_VARIABLE, message: `Gem variable "${name}" is defined twice` });
+        } else if (!['number', 'string', 'boolean'].includes(type)) {
+            errors.push({ code: codes.INVALID_VARIABLE, message: `Gem variable "${name}" has a ${type} value` });
+        }
+        seen.add(name);
+    });
+    EXPECTED_VARIABLES.forEach(name => {
+        if (!seen.has(name)) {
+            warnings.push({ code: codes.MISSING_VARIABLE, message: `Gem has no variable named "${name}"` });
+        }
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+}
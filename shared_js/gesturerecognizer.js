@@ -0,0 +1,220 @@
+/**
+ * Recognizes pointer gestures on an element for any pointer events device (mouse, pen,
+ * touch): one-pointer drags, two-pointer pinch, rotate and pan, and double taps.
+ * Shared by the controls of a player, which listen for these CustomEvents:
+ *
+ *   dragstart, drag, dragend  { x, y, dx, dy, pointerType }, dx/dy since the previous drag
+ *                             (dragend has cancelled: true when a second pointer took over)
+ *   pinchstart, pinchend      { center }
+ *   pinch                     { scale, center }, scale relative to pinchstart
+ *   rotate                    { angle, center }, radians clockwise since the previous rotate
+ *   pan                       { dx, dy }, movement of the center since the previous pan
+ *   doubletap                 { x, y, pointerType }
+ *
+ * Coordinates are client coordinates. A second pointer ends a drag and starts a pinch;
+ * further pointers are ignored.
+ */
+export class GestureRecognizer extends EventTarget {
+    constructor(element, options = {}) {
+        super();
+        this.element = element;
+        this.options = {
+            doubleTapDelay: 300, // Maximum time between the taps of a double tap in ms
+            doubleTapDistance: 30, // Maximum distance between the taps of a double tap in pixels
+            tapMovement: 10, // Maximum movement of a tap in pixels
+            ...options
+        };
+
+        // Pointers down on the element by id: { x, y, startX, startY, pointerType }
+        this.pointers = new Map();
+
+        // Drag in progress ({ pointerId }) and pinch in progress ({ ids, span, angle, center })
+        this.drag = null;
+        this.pinch = null;
+
+        // Last tap, for double taps ({ x, y, time })
+        this.lastTap = null;
+
+        this._handlers = {
+            pointerdown: (e) => this.handlePointerDown(e),
+            pointermove: (e) => this.handlePointerMove(e),
+            pointerup: (e) => this.handlePointerUp(e, false),
+            pointercancel: (e) => this.handlePointerUp(e, true)
+        };
+        Object.entries(this._handlers).forEach(([type, handler]) => {
+            this.element.addEventListener(type, handler);
+        });
+    }
+
+    // Number of pointers down on the element
+    get pointerCount() { return this.pointers.size; }
+
+    // Whether a drag or pinch is in progress
+    get isDragging() { return Boolean(this.drag); }
+    get isPinching() { return Boolean(this.pinch); }
+
+    /**
+     * Stop listening to the element
+     */
+    cleanup() {
+        Object.entries(this._handlers).forEach(([type, handler]) => {
+            this.element.removeEventListener(type, handler);
+        });
+        this.pointers.clear();
+        this.drag = null;
+        this.pinch = null;
+    }
+
+    /**
+     * Dispatch a gesture event
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Distance, angle and center of the two pinching pointers
+     */
+    measurePinch(ids) {
+        const a = this.pointers.get(ids[0]);
+        const b = this.pointers.get(ids[1]);
+        return {
+            span: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x),
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+        };
+    }
+
+    handlePointerDown(e) {
+        // Only the primary mouse button drags
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        if (this.pointers.size >= 2) return;
+
+        this.pointers.set(e.pointerId, {
+            x: e.clientX,
+            y: e.clientY,
+            startX: e.clientX,
+            startY: e.clientY,
+            pointerType: e.pointerType
+        });
+
+        // Keep receiving the pointer's events when it leaves the element
+        try {
+            this.element.setPointerCapture(e.pointerId);
+        } catch (error) {
+            // Synthetic or already released pointers can't be captured
+        }
+
+        if (this.pointers.size === 1) {
+            this.drag = { pointerId: e.pointerId };
+            this.emit('dragstart', { x: e.clientX, y: e.clientY, dx: 0, dy: 0, pointerType: e.pointerType });
+            return;
+        }
+
+        // A second pointer turns the drag into a pinch
+        if (this.drag) {
+            const pointer = this.pointers.get(this.drag.pointerId);
+            this.drag = null;
+            this.emit('dragend', {
+                x: pointer.x,
+                y: pointer.y,
+                dx: 0,
+                dy: 0,
+                pointerType: pointer.pointerType,
+                cancelled: true
+            });
+        }
+
+        const ids = Array.from(this.pointers.keys());
+        this.pinch = { ids, ...this.measurePinch(ids) };
+        this.pinch.startSpan = this.pinch.span;
+        this.emit('pinchstart', { center: this.pinch.center });
+    }
+
+    handlePointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        const dx = e.clientX - pointer.x;
+        const dy = e.clientY - pointer.y;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        if (this.drag && this.drag.pointerId === e.pointerId) {
+            this.emit('drag', { x: e.clientX, y: e.clientY, dx, dy, pointerType: e.pointerType });
+            return;
+        }
+
+        if (this.pinch) {
+            const { span, angle, center } = this.measurePinch(this.pinch.ids);
+
+            if (this.pinch.startSpan > 0) {
+                this.emit('pinch', { scale: span / this.pinch.startSpan, center });
+            }
+
+            // Angle change wrapped to -π...π
+            let rotation = angle - this.pinch.angle;
+            if (rotation > Math.PI) rotation -= 2 * Math.PI;
+            if (rotation < -Math.PI) rotation += 2 * Math.PI;
+            if (rotation !== 0) {
+                this.emit('rotate', { angle: rotation, center });
+            }
+
+            this.emit('pan', { dx: center.x - this.pinch.center.x, dy: center.y - this.pinch.center.y });
+
+            this.pinch.angle = angle;
+            this.pinch.center = center;
+        }
+    }
+
+    handlePointerUp(e, cancelled) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+        this.pointers.delete(e.pointerId);
+
+        if (this.drag && this.drag.pointerId === e.pointerId) {
+            this.drag = null;
+            this.emit('dragend', {
+                x: e.clientX,
+                y: e.clientY,
+                dx: 0,
+                dy: 0,
+                pointerType: pointer.pointerType,
+                cancelled
+            });
+
+            if (!cancelled) {
+                this.detectTap(pointer);
+            }
+        }
+
+        if (this.pinch && this.pinch.ids.includes(e.pointerId)) {
+            const center = this.pinch.center;
+            this.pinch = null;
+            this.emit('pinchend', { center });
+        }
+    }
+
+    /**
+     * Count a pointer released near where it went down as a tap; two close together make a double tap
+     */
+    detectTap(pointer) {
+        const moved = Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY);
+        if (moved > this.options.tapMovement) {
+            this.lastTap = null;
+            return;
+        }
+
+        const now = performance.now();
+        const lastTap = this.lastTap;
+        if (lastTap &&
+            now - lastTap.time <= this.options.doubleTapDelay &&
+            Math.hypot(pointer.x - lastTap.x, pointer.y - lastTap.y) <= this.options.doubleTapDistance) {
+            this.lastTap = null;
+            this.emit('doubletap', { x: pointer.x, y: pointer.y, pointerType: pointer.pointerType });
+            return;
+        }
+
+        this.lastTap = { x: pointer.x, y: pointer.y, time: now };
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Tracks which gem-player receives page-wide input (device orientation) when several
+ * players share a page: the focused player, otherwise the hovered one.
+ * A player alone on the page always receives input. Input targeted at an element (wheel,
+ * pinch) already reaches only the player under the cursor and isn't gated on this.
+ */
+export class InputFocus {
+
+    // Registered players and the listeners attached to each
+    static players = new Map();
+
+    static focused = null;
+    static hovered = null;
+
+    /**
+     * Start tracking focus and hover for a player
+     */
+    static register(player) {
+        if (InputFocus.players.has(player)) return;
+
+        const listeners = {
+            pointerenter: () => { InputFocus.hovered = player; },
+            pointerleave: () => {
+                if (InputFocus.hovered === player) InputFocus.hovered = null;
+            },
+            focusin: () => { InputFocus.focused = player; },
+            focusout: () => {
+                if (InputFocus.focused === player) InputFocus.focused = null;
+            }
+        };
+
+        Object.entries(listeners).forEach(([type, listener]) => {
+            player.addEventListener(type, listener);
+        });
+        InputFocus.players.set(player, listeners);
+    }
+
+    /**
+     * Stop tracking a player
+     */
+    static unregister(player) {
+        const listeners = InputFocus.players.get(player);
+        if (!listeners) return;
+
+        Object.entries(listeners).forEach(([type, listener]) => {
+            player.removeEventListener(type, listener);
+        });
+        InputFocus.players.delete(player);
+
+        if (InputFocus.focused === player) InputFocus.focused = null;
+        if (InputFocus.hovered === player) InputFocus.hovered = null;
+    }
+
+    /**
+     * The player currently receiving page-wide input, if any
+     */
+    static get active() {
+        if (InputFocus.players.size === 1) {
+            return InputFocus.players.keys().next().value;
+        }
+        return InputFocus.focused || InputFocus.hovered;
+    }
+
+    /**
+     * Whether a player should react to page-wide input
+     */
+    static isActive(player) {
+        return InputFocus.active === player;
+    }
+}
@@ -0,0 +1,321 @@
+import { Router } from './router.mjs';
+import { GemPlayer } from './gemplayer_new.js';
+import { OfflineLibrary } from './offlinelibrary.js';
+
+// Number of gems after the current one downloaded into the gem cache ahead of use
+const PREWARM_COUNT = 2;
+
+/**
+ * Single owner of page navigation: history and route parsing (through Router),
+ * the gem buttons, the not-found view and switching the gem-player between gems.
+ */
+export class NavigationController {
+    constructor(catalog, options = {}) {
+        this.catalog = catalog;
+
+        // Page elements
+        this.container = options.container || document.getElementById('gem-container');
+        this.buttonsRow = options.buttonsRow || document.querySelector('.warp-buttons-row');
+        this.notFoundView = options.notFoundView || document.querySelector('.not-found');
+        this.offlineButton = options.offlineButton || document.querySelector('.offline-button');
+
+        // Currently shown gem id (null when nothing or the not-found view is shown)
+        this.currentGemId = null;
+        // Flag to prevent multiple simultaneous transitions
+        this.isTransitioning = false;
+        // Gem requested while a transition was running, shown once it completes
+        this.pendingGem = undefined;
+
+        const defaultGem = catalog.defaultGem;
+        this.router = new Router({
+            defaultPath: defaultGem ? defaultGem.path : null
+        });
+
+        // Route table: /gem/:slug, /:label/:catalogNumber, then anything else is not found
+        this.router.addRoute('/gem/:slug', ({ slug }) => {
+            this.showGem(catalog.getBySlug(slug));
+        });
+        this.router.addRoute('/:label/:catalogNumber', ({ label, catalogNumber }) => {
+            this.showGem(catalog.getByCatalogNumber(label, catalogNumber));
+        });
+        this.router.addRoute('*', () => {
+            this.showGem(null);
+        });
+
+        // Point the not-found view's link at the default gem
+        const notFoundLink = this.notFoundView && this.notFoundView.querySelector('.not-found-link');
+        if (notFoundLink && defaultGem) {
+            notFoundLink.href = defaultGem.path;
+            notFoundLink.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.navigate(defaultGem);
+            });
+        }
+
+        // Gem selection from inside a player
+        document.addEventListener('gemselected', (event) => {
+            const gem = catalog.getById(event.detail.gemNumber);
+            if (gem) {
+                this.navigate(gem);
+            }
+        });
+
+        // Save the current gem for offline use
+        if (this.offlineButton && OfflineLibrary.supported) {
+            this.offlineButton.addEventListener('click', () => this.toggleOffline());
+        }
+
+        this.renderButtons();
+    }
+
+    /**
+     * Show the gem for the current URL
+     */
+    start() {
+        this.router.start();
+    }
+
+    /**
+     * Navigate to a gem, adding a history entry
+     */
+    navigate(gem) {
+        if (gem.id === this.currentGemId) {
+            console.log('Already showing gem:', gem.id);
+            return;
+        }
+        this.router.navigate(gem.path);
+    }
+
+    // Create one button per catalog entry
+    renderButtons() {
+        if (!this.buttonsRow) return;
+
+        this.buttonsRow.innerHTML = '';
+        this.catalog.gems.forEach(gem => {
+            const button = document.createElement('button');
+            button.className = 'gem-button';
+            button.setAttribute('data-gem', gem.id);
+            button.textContent = gem.label && gem.number
+                ? `${gem.label.toUpperCase()}${gem.number}`
+                : gem.id;
+            button.addEventListener('click', () => {
+                console.log('Button clicked, switching to gem:', gem.id);
+                this.navigate(gem);
+            });
+            this.buttonsRow.appendChild(button);
+        });
+    }
+
+    // Mark the button for the active gem
+    updateButtonStates(gemId) {
+        if (!this.buttonsRow) return;
+
+        this.buttonsRow.querySelectorAll('.gem-button').forEach(btn => {
+            if (btn.getAttribute('data-gem') === gemId) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+    }
+
+    /**
+     * Route handler: show a gem, or the not-found view when the route names none
+     */
+    showGem(gem) {
+        // Queue the latest request while a transition is running
+        if (this.isTransitioning) {
+            this.pendingGem = gem;
+            return;
+        }
+
+        if (!gem) {
+            this.showNotFound();
+            return;
+        }
+
+        if (gem.id === this.currentGemId) {
+            return;
+        }
+
+        this.updateButtonStates(gem.id);
+        this.updateOfflineButton(gem);
+        this.trackPageView(gem);
+
+        // The first gem (or one shown after the not-found view) appears without a crossfade
+        if (!this.container.querySelector('gem-player')) {
+            this.initializeGem(gem);
+        } else {
+            this.switchGem(gem);
+        }
+    }
+
+    // Show whether a gem is saved for offline use (hidden without a gem or offline support)
+    async updateOfflineButton(gem) {
+        if (!this.offlineButton) return;
+
+        if (!gem || !OfflineLibrary.supported) {
+            this.offlineButton.hidden = true;
+            return;
+        }
+
+        const saved = await OfflineLibrary.isSaved(gem);
+        if (gem.id !== this.currentGemId) return;
+
+        this.offlineButton.textContent = saved ? 'Saved for offline ✓' : 'Save for offline';
+        this.offlineButton.dataset.saved = saved;
+        this.offlineButton.hidden = false;
+    }
+
+    // Save the current gem for offline use, or remove it when already saved
+    async toggleOffline() {
+        const gem = this.catalog.getById(this.currentGemId);
+        if (!gem || this.offlineButton.disabled) return;
+
+        this.offlineButton.disabled = true;
+        try {
+            if (this.offlineButton.dataset.saved === 'true') {
+                await OfflineLibrary.remove(gem);
+            } else {
+                this.offlineButton.textContent = 'Saving…';
+                await OfflineLibrary.save(gem, { gemCache: GemPlayer.gemCache });
+            }
+        } catch (error) {
+            console.error('Error saving gem for offline:', error);
+        }
+        this.offlineButton.disabled = false;
+
+        this.updateOfflineButton(this.catalog.getById(this.currentGemId));
+    }
+
+    // Track page views in Mixpanel after the initial page load
+    trackPageView(gem) {
+        if (this.currentGemId === null || !window.mixpanel) return;
+
+        window.mixpanel.track('Page View', {
+            'page': gem.path,
+            'artist': gem.artist,
+            'album': gem.album
+        });
+    }
+
+    // Show the not-found view in place of the player
+    showNotFound() {
+        console.warn('No gem found for route:', window.location.pathname);
+        this.removePlayer();
+        this.updateButtonStates(null);
+        this.updateOfflineButton(null);
+        this.currentGemId = null;
+
+        if (this.notFoundView) {
+            this.notFoundView.hidden = false;
+        }
+    }
+
+    // Remove the gem-player (its text overlay lives in its shadow root)
+    removePlayer() {
+        this.container.innerHTML = '';
+    }
+
+    // Apply a gem's colors to the page
+    applyTheme(gem) {
+        document.body.style.backgroundColor = gem.bgColor;
+        document.body.style.color = gem.textColor;
+    }
+
+    // Player metadata for a catalog gem
+    metadataFor(gem) {
+        return {
+            gem: gem.id,
+            artist: gem.artist || '',
+            album: gem.album || '',
+            published: gem.published || '',
+            bgColor: gem.bgColor,
+            textColor: gem.textColor
+        };
+    }
+
+    // Create a gem-player element for a gem
+    createPlayer(gem) {
+        const player = document.createElement('gem-player');
+        player.setAttribute('url', gem.url);
+        player.setAttribute('gem', gem.id);
+        player.setAttribute('artist', gem.artist || '');
+        player.setAttribute('album', gem.album || '');
+        player.setAttribute('published', gem.published || '');
+        if (gem.bgColor) {
+            player.setAttribute('bg-color', gem.bgColor);
+        }
+        if (gem.textColor) {
+            player.setAttribute('text-color', gem.textColor);
+        }
+
+        // The page's player owns the document theme (theme-color meta tag, body colors)
+        player.setAttribute('theme-document', '');
+
+        // Show download progress for large gem files
+        player.setAttribute('progress-ring', '');
+
+        this.container.appendChild(player);
+        return player;
+    }
+
+    // Show the first gem without animation
+    initializeGem(gem) {
+        console.log('Initializing gem:', gem.id);
+        this.currentGemId = gem.id;
+
+        if (this.notFoundView) {
+            this.notFoundView.hidden = true;
+        }
+
+        // Set colors first on initial load (no transition)
+        this.applyTheme(gem);
+
+        this.removePlayer();
+        const player = this.createPlayer(gem);
+
+        // Download the next gems once the first one is on screen
+        player.sceneReady
+            .then(() => this.prewarmAfter(gem))
+            .catch(() => {});
+    }
+
+    // Switch gems by crossfading the player's scene in place
+    async switchGem(gem) {
+        console.log('Switching to gem:', gem.id);
+        this.isTransitioning = true;
+        this.currentGemId = gem.id;
+
+        const player = this.container.querySelector('gem-player');
+
+        try {
+            // The player reuses its renderer; metadata and colors change as the crossfade starts
+            await player.load(gem.url, { metadata: this.metadataFor(gem) });
+            this.applyTheme(gem);
+            console.log('Transition complete to:', gem.id);
+            this.prewarmAfter(gem);
+        } catch (error) {
+            console.error('Error switching gem:', error);
+        }
+
+        this.finishTransition();
+    }
+
+    // Download the gems following a gem in the catalog into the gem cache
+    prewarmAfter(gem) {
+        const urls = this.catalog.nextGems(gem, PREWARM_COUNT).map(next => next.url);
+        GemPlayer.prewarm(urls);
+    }
+
+    // End a transition and show any gem requested meanwhile
+    finishTransition() {
+        this.isTransitioning = false;
+
+        if (this.pendingGem !== undefined) {
+            const gem = this.pendingGem;
+            this.pendingGem = undefined;
+            this.showGem(gem);
+        }
+    }
+}
@@ -0,0 +1,76 @@
+import { GemCache } from './gemcache.js';
+
+/**
+ * Gems saved for offline use, kept in a Cache Storage cache that the service worker
+ * (sw.js) serves gem files from. Saved gems stay until removed; unlike the GemCache they
+ * are never evicted.
+ */
+export class OfflineLibrary {
+
+    // Cache shared with the service worker (OFFLINE_GEMS_CACHE in sw.js)
+    static CACHE_NAME = 'gems-offline';
+
+    /**
+     * Whether the browser can run the app offline
+     */
+    static get supported() {
+        return 'serviceWorker' in navigator && 'caches' in window;
+    }
+
+    /**
+     * Whether a gem's file is saved
+     */
+    static async isSaved(gem) {
+        if (!OfflineLibrary.supported) return false;
+        const cache = await caches.open(OfflineLibrary.CACHE_NAME);
+        return Boolean(await cache.match(gem.url, { ignoreSearch: true }));
+    }
+
+    /**
+     * Save a gem's file for offline use, reusing bytes already in a GemCache
+     * (e.g. GemPlayer.gemCache) when they are the current version
+     */
+    static async save(gem, { gemCache } = {}) {
+        const cache = await caches.open(OfflineLibrary.CACHE_NAME);
+
+        // Only one version of a gem is kept
+        await OfflineLibrary.removeVersions(cache, gem);
+
+        if (gemCache && await gemCache.has(gem.url)) {
+            const record = await gemCache.get(GemCache.keyFor(gem.url));
+            if (record) {
+                await cache.put(gem.url, new Response(record.data, {
+                    headers: {
+                        'Content-Type': 'application/octet-stream',
+                        'ETag': record.etag
+                    }
+                }));
+                return;
+            }
+        }
+
+        await cache.add(gem.url);
+    }
+
+    /**
+     * Remove a gem's saved file
+     */
+    static async remove(gem) {
+        const cache = await caches.open(OfflineLibrary.CACHE_NAME);
+        await OfflineLibrary.removeVersions(cache, gem);
+    }
+
+    // Delete every stored version of a gem's file
+    static async removeVersions(cache, gem) {
+        const requests = await cache.keys(gem.url, { ignoreSearch: true });
+        await Promise.all(requests.map(request => cache.delete(request)));
+    }
+
+    /**
+     * The catalog gems that are saved, in catalog order
+     */
+    static async savedGems(catalog) {
+        const saved = await Promise.all(catalog.gems.map(gem => OfflineLibrary.isSaved(gem)));
+        return catalog.gems.filter((gem, index) => saved[index]);
+    }
+}
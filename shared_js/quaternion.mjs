@@ -0,0 +1,157 @@
+/**
+ * Quaternion helpers on plain { x, y, z, w } objects. Euler angles are radians in
+ * XYZ order, the order the runtime (three.js) applies object rotations in.
+ */
+export class Quaternion {
+
+    // No rotation
+    static identity() {
+        return { x: 0, y: 0, z: 0, w: 1 };
+    }
+
+    /**
+     * Quaternion multiplication (a then b applied to the right, as in a * b)
+     */
+    static multiply(a, b) {
+        return {
+            w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+            x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+            y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+            z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w
+        };
+    }
+
+    /**
+     * Rotation quaternion from a unit axis and an angle
+     */
+    static fromAxisAngle(axis, angle) {
+        const halfAngle = angle / 2;
+        const s = Math.sin(halfAngle);
+        return {
+            w: Math.cos(halfAngle),
+            x: axis.x * s,
+            y: axis.y * s,
+            z: axis.z * s
+        };
+    }
+
+    /**
+     * Rotation quaternion from Euler angles ({ x, y, z }, XYZ order)
+     */
+    static fromEuler(rotation) {
+        const c1 = Math.cos(rotation.x / 2);
+        const c2 = Math.cos(rotation.y / 2);
+        const c3 = Math.cos(rotation.z / 2);
+        const s1 = Math.sin(rotation.x / 2);
+        const s2 = Math.sin(rotation.y / 2);
+        const s3 = Math.sin(rotation.z / 2);
+
+        return {
+            x: s1 * c2 * c3 + c1 * s2 * s3,
+            y: c1 * s2 * c3 - s1 * c2 * s3,
+            z: c1 * c2 * s3 + s1 * s2 * c3,
+            w: c1 * c2 * c3 - s1 * s2 * s3
+        };
+    }
+
+    /**
+     * Euler angles ({ x, y, z }, XYZ order, y within ±π/2) of a unit quaternion
+     */
+    static toEuler(q) {
+        // The rotation matrix entries the XYZ decomposition needs
+        const m11 = 1 - 2 * (q.y * q.y + q.z * q.z);
+        const m12 = 2 * (q.x * q.y - q.z * q.w);
+        const m13 = 2 * (q.x * q.z + q.y * q.w);
+        const m22 = 1 - 2 * (q.x * q.x + q.z * q.z);
+        const m23 = 2 * (q.y * q.z - q.x * q.w);
+        const m32 = 2 * (q.y * q.z + q.x * q.w);
+        const m33 = 1 - 2 * (q.x * q.x + q.y * q.y);
+
+        const y = Math.asin(Math.max(-1, Math.min(1, m13)));
+
+        // Looking straight along y (gimbal lock) x and z turn about the same axis; put it all in x
+        if (Math.abs(m13) < 0.9999999) {
+            return { x: Math.atan2(-m23, m33), y, z: Math.atan2(-m12, m11) };
+        }
+        return { x: Math.atan2(m32, m22), y, z: 0 };
+    }
+
+    /**
+     * Euler angles of a unit quaternion closest to reference angles (e.g. the previous ones),
+     * so angles accumulate over turns, and y past ±π/2, instead of jumping to the canonical ones
+     */
+    static toEulerNear(q, reference) {
+        const euler = Quaternion.toEuler(q);
+
+        // (x + π, π - y, z + π) is the same rotation
+        const candidates = [euler, { x: euler.x + Math.PI, y: Math.PI - euler.y, z: euler.z + Math.PI }]
+            .map(candidate => ({
+                x: nearestTurn(candidate.x, reference.x),
+                y: nearestTurn(candidate.y, reference.y),
+                z: nearestTurn(candidate.z, reference.z)
+            }));
+
+        const distance = (angles) => Math.abs(angles.x - reference.x) +
+            Math.abs(angles.y - reference.y) +
+            Math.abs(angles.z - reference.z);
+        return distance(candidates[1]) < distance(candidates[0]) ? candidates[1] : candidates[0];
+    }
+
+    static dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+    }
+
+    static normalize(q) {
+        const length = Math.sqrt(Quaternion.dot(q, q));
+        if (length === 0) return Quaternion.identity();
+        return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+    }
+
+    /**
+     * Angle in radians of the shortest rotation between two unit quaternions
+     */
+    static angleBetween(a, b) {
+        return 2 * Math.acos(Math.min(1, Math.abs(Quaternion.dot(a, b))));
+    }
+
+    /**
+     * Spherical interpolation from a to b by t (0...1) along the shortest path
+     */
+    static slerp(a, b, t) {
+        let cosHalfTheta = Quaternion.dot(a, b);
+
+        // q and -q are the same rotation; going to the nearer one takes the short way round
+        let target = b;
+        if (cosHalfTheta < 0) {
+            target = { x: -b.x, y: -b.y, z: -b.z, w: -b.w };
+            cosHalfTheta = -cosHalfTheta;
+        }
+
+        // Nearly the same rotation: interpolate linearly, avoiding dividing by sin(≈0)
+        if (cosHalfTheta > 0.9995) {
+            return Quaternion.normalize({
+                x: a.x + (target.x - a.x) * t,
+                y: a.y + (target.y - a.y) * t,
+                z: a.z + (target.z - a.z) * t,
+                w: a.w + (target.w - a.w) * t
+            });
+        }
+
+        const halfTheta = Math.acos(cosHalfTheta);
+        const sinHalfTheta = Math.sin(halfTheta);
+        const ratioA = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
+        const ratioB = Math.sin(t * halfTheta) / sinHalfTheta;
+
+        return {
+            x: a.x * ratioA + target.x * ratioB,
+            y: a.y * ratioA + target.y * ratioB,
+            z: a.z * ratioA + target.z * ratioB,
+            w: a.w * ratioA + target.w * ratioB
+        };
+    }
+}
+
+// The angle plus whole turns that is closest to a reference angle
+function nearestTurn(angle, reference) {
+    return angle + 2 * Math.PI * Math.round((reference - angle) / (2 * Math.PI));
+}
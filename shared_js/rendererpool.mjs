@@ -0,0 +1,116 @@
+/**
+ * Budget of live WebGL renderers shared by all gem-players on a page.
+ * Browsers only allow a handful of WebGL contexts at once, so a grid of players
+ * keeps at most maxActive renderers (runtime Applications with their canvas). When a
+ * player comes into view and the budget is spent, a renderer held by a player out of
+ * view is handed over to it, keeping its WebGL context; players in view are never
+ * evicted. When every holder is in view the player waits in line for the next renderer
+ * to come free (a holder scrolling out of view, or leaving the page).
+ *
+ * Players implement grantRenderer(renderer), taking a handed over { canvas, spline }
+ * or null to create their own, and releaseRenderer(), giving theirs up and returning
+ * it; they keep an isVisible flag.
+ */
+export class RendererPool {
+    constructor(maxActive = 4) {
+        this.maxActive = maxActive;
+
+        // Players holding a renderer, least recently used first
+        this.active = [];
+
+        // Players in view waiting for a renderer, first come first served
+        this.waiting = [];
+    }
+
+    /**
+     * Get a renderer for a player: a new one within budget, one handed over from a player
+     * out of view, or the next free one once the player's turn comes
+     */
+    acquire(player) {
+        if (this.has(player)) {
+            this.touch(player);
+            return;
+        }
+        if (this.waiting.includes(player)) return;
+
+        if (this.active.length < this.maxActive) {
+            this.active.push(player);
+            player.grantRenderer(null);
+            return;
+        }
+
+        // Only players out of view give up their renderer, least recently used first
+        const holder = this.active.find(other => !other.isVisible);
+        if (!holder) {
+            this.waiting.push(player);
+            return;
+        }
+
+        this.handOver(holder, player);
+    }
+
+    /**
+     * Mark a player as most recently used without acquiring a renderer
+     */
+    touch(player) {
+        const index = this.active.indexOf(player);
+        if (index !== -1) {
+            this.active.splice(index, 1);
+            this.active.push(player);
+        }
+    }
+
+    /**
+     * A player holding a renderer scrolled out of view: hand it to the first player waiting
+     */
+    hide(player) {
+        if (this.has(player) && this.waiting.length) {
+            this.handOver(player, this.waiting.shift());
+        }
+    }
+
+    /**
+     * Give a player's renderer (already disposed) back to the pool, or take it out of line.
+     * The freed place goes to the first player waiting.
+     */
+    release(player) {
+        const waitingIndex = this.waiting.indexOf(player);
+        if (waitingIndex !== -1) {
+            this.waiting.splice(waitingIndex, 1);
+        }
+
+        const index = this.active.indexOf(player);
+        if (index === -1) return;
+        this.active.splice(index, 1);
+
+        const next = this.waiting.shift();
+        if (next) {
+            this.active.push(next);
+            next.grantRenderer(null);
+        }
+    }
+
+    /**
+     * Move a renderer from its holder to another player
+     */
+    handOver(holder, player) {
+        this.active.splice(this.active.indexOf(holder), 1);
+        this.active.push(player);
+
+        const renderer = holder.releaseRenderer();
+        player.grantRenderer(renderer);
+
+        // A holder back in view by now queues for the next renderer
+        if (holder.isVisible) {
+            this.acquire(holder);
+        }
+    }
+
+    has(player) {
+        return this.active.includes(player);
+    }
+
+    isWaiting(player) {
+        return this.waiting.includes(player);
+    }
+}
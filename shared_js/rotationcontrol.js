@@ -1,31 +1,65 @@
+import { GestureRecognizer } from './gesturerecognizer.js';
+
 /**
- * Controls gem rotation based on user interaction
+ * Controls gem rotation based on user interaction: one-pointer drags turn the gem,
+ * two-finger twists roll it around the view axis (from a GestureRecognizer, shared
+ * with the other controls when given as options.gestures).
+ *
+ * Released drags keep spinning at the release velocity, slowing by spinFriction per frame;
+ * past the vertical limit a spring pulls the tilt back. The canvas dispatches spinstart
+ * ({ velocity } in radians per second) and spinend ({ interrupted }) events, bubbling out
+ * of the player's shadow root.
+ *
+ * After autoRotateDelay ms at rest the gem auto-rotates by autoRotateMode:
+ *   'snap'       back to the nearest of autoRotatePoses (degrees of y, front = 0) after a manual rotation
+ *   'turntable'  continuous spin at autoRotateSpeed degrees per second
+ *   'pingpong'   sweep autoRotateSweep degrees either side of the nearest pose at up to autoRotateSpeed
+ *   'off'        stay where the user left it
+ * The continuous modes also start on their own when the gem is idle. autorotationcomplete
+ * ({ mode, rotation } in degrees, bubbling) is dispatched when a snap lands, after each
+ * turntable revolution and at each end of a sweep.
  */
 export class RotationControl {
+
+    // Auto-rotation modes (see above)
+    static autoRotateModes = ['snap', 'turntable', 'pingpong', 'off'];
+
+    // Named auto-rotation poses, in degrees of y, and the default poses (front and back)
+    static poses = { front: 0, spine: 90, back: 180 };
+    static defaultPoses = [0, 180];
     constructor(gemViewModel, canvas, options = {}) {
         this.gemViewModel = gemViewModel;
         this.canvas = canvas;
-        this.isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
-        
-        // Add mobile sensitivity multiplier
-        this.mobileSensitivityMultiplier = 1.22;
 
-        // Track active pointers for iOS
-        this.activePointers = new Set();
+        // Touch drags cover less of the screen, so they turn (and follow) a little faster
+        this.touchSensitivityMultiplier = 1.22;
 
         this.options = {
-            sensitivity: (this.isIOS ? this.mobileSensitivityMultiplier : 1) * (options.sensitivity || GemPlayer.Constants.ROTATION_SENSITIVITY),
-            dragEasing: (this.isIOS ? this.mobileSensitivityMultiplier : 1) * (options.dragEasing || 0.9),
+            sensitivity: options.sensitivity || GemPlayer.Constants.ROTATION_SENSITIVITY,
+            dragEasing: options.dragEasing || 0.9,
             verticalLimit: options.verticalLimit || 45,
             threshold: options.threshold || 0.001,
             autoRotateDelay: options.autoRotateDelay || 1000,
             autoRotateDuration: options.autoRotateDuration || 2000,
-            invertRotation: options.invertRotation || false
+            autoRotateMode: RotationControl.autoRotateModes.includes(options.autoRotateMode) ? options.autoRotateMode : 'snap',
+            autoRotatePoses: options.autoRotatePoses && options.autoRotatePoses.length ? options.autoRotatePoses : RotationControl.defaultPoses,
+            autoRotateSpeed: options.autoRotateSpeed || 20,
+            autoRotateSweep: options.autoRotateSweep || 30,
+            invertRotation: options.invertRotation || false,
+            spinFriction: options.spinFriction || 0.95, // Share of spin velocity kept per 60 Hz frame
+            minSpinVelocity: options.minSpinVelocity || 0.5, // Slowest release that spins, radians per second
+            spinSpring: options.spinSpring || 40, // Spring stiffness pulling the tilt back past the limit, per second²
+            velocityWindow: options.velocityWindow || 100 // Drag samples used for the release velocity, in ms
         };
 
+        // Gesture source; one created here is also cleaned up here
+        this.ownsGestures = !options.gestures;
+        this.gestures = options.gestures || new GestureRecognizer(canvas);
+
         // State
         this.isDragging = false;
-        this.previousMousePosition = { x: 0, y: 0 };
+        this.isTwisting = false;
+        this.pointerMultiplier = 1;
         this.targetRotation = { x: 0, y: 0, z: 0 };
         this.currentRotation = { x: 0, y: 0, z: 0 };
         this.isAnimating = false;
@@ -35,70 +69,125 @@ export class RotationControl {
         this.isAutoRotating = false;
         this.originalRotation = { x: 0, y: 0, z: 0 };
 
+        // Recent drag movement ({ time, x, y } rotation deltas) and the spin in progress
+        this.dragSamples = [];
+        this.isSpinning = false;
+        this.spinVelocity = { x: 0, y: 0 };
+
+        // Resolve function of the running rotateTo(), if any
+        this.pendingRotateTo = null;
+
         this.init();
     }
 
+    // Drag easing for the current pointer type
+    get dragEasing() {
+        return Math.min(1, this.options.dragEasing * this.pointerMultiplier);
+    }
+
     /**
      * Initialize rotation control
      */
     init() {
+        this._handlers = {
+            dragstart: this.handleDragStart.bind(this),
+            drag: this.handleDrag.bind(this),
+            dragend: this.handleDragEnd.bind(this),
+            pinchstart: this.handleTwistStart.bind(this),
+            rotate: this.handleTwist.bind(this),
+            pinchend: this.handleTwistEnd.bind(this)
+        };
+        Object.entries(this._handlers).forEach(([type, handler]) => {
+            this.gestures.addEventListener(type, handler);
+        });
 
-        // Mouse events
-        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
-        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
-        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
-        this.canvas.addEventListener('pointerleave', this.handlePointerLeave.bind(this));
+        // Continuous modes start once the gem has been idle for a while
+        this.scheduleAutoRotation();
     }
 
     /**
-     * Clean up rotation control
+     * Change the auto-rotation mode, poses (null for the defaults), speed or sweep (the options
+     * of the same names, without the autoRotate prefix), restarting any auto-rotation in progress
      */
-    cleanup() {
-        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
-        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
-        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
-        this.canvas.removeEventListener('pointerleave', this.handlePointerLeave);
-
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
-        }
+    setAutoRotate({ mode, poses, speed, sweep } = {}) {
+        if (RotationControl.autoRotateModes.includes(mode)) this.options.autoRotateMode = mode;
+        if (poses !== undefined) this.options.autoRotatePoses = poses && poses.length ? poses : RotationControl.defaultPoses;
+        if (speed > 0) this.options.autoRotateSpeed = speed;
+        if (sweep > 0) this.options.autoRotateSweep = sweep;
+
+        this.stopAutoRotation();
+        this.scheduleAutoRotation();
+    }
 
+    /**
+     * Start auto-rotation after autoRotateDelay, if the mode has anything to do: snapping
+     * back only follows a manual rotation, the continuous modes always run when idle
+     */
+    scheduleAutoRotation() {
         if (this.autoRotateTimer) {
             clearTimeout(this.autoRotateTimer);
             this.autoRotateTimer = null;
         }
 
-        // Clear pointer tracking
-        this.activePointers.clear();
+        const mode = this.options.autoRotateMode;
+        if (mode === 'off' || (mode === 'snap' && !this.hasManualRotation)) return;
+
+        this.autoRotateTimer = setTimeout(() => {
+            this.autoRotateTimer = null;
+            this.startAutoRotation();
+        }, this.options.autoRotateDelay);
     }
 
     /**
-     * Handle pointer down event
+     * Clean up rotation control
      */
-    handlePointerDown(e) {
-        // On iOS, track pointer and cancel if multiple pointers detected
-        if (this.isIOS) {
-            this.activePointers.add(e.pointerId);
-            if (this.activePointers.size > 1) {
-                // Multiple pointers detected, cancel rotation
-                this.handlePointerUp();
-                return;
-            }
+    cleanup() {
+        Object.entries(this._handlers).forEach(([type, handler]) => {
+            this.gestures.removeEventListener(type, handler);
+        });
+        if (this.ownsGestures) {
+            this.gestures.cleanup();
         }
 
-        this.isDragging = true;
-        this.previousMousePosition = {
-            x: e.clientX,
-            y: e.clientY
-        };
+        this.isSpinning = false;
+        this.dragSamples = [];
 
-        // Clear auto-rotation timer and stop auto-rotation if active
+        this.cancelAnimation();
+
+        if (this.autoRotateTimer) {
+            clearTimeout(this.autoRotateTimer);
+            this.autoRotateTimer = null;
+        }
+    }
+
+    /**
+     * Stop auto-rotation, pending or running, when the user takes over
+     */
+    stopAutoRotation() {
         if (this.autoRotateTimer) {
             clearTimeout(this.autoRotateTimer);
             this.autoRotateTimer = null;
         }
+        if (this.isAutoRotating && this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
         this.isAutoRotating = false;
+    }
+
+    /**
+     * Handle the start of a one-pointer drag
+     */
+    handleDragStart(e) {
+        // Catching a spinning gem stops it
+        this.stopSpin(true);
+
+        this.isDragging = true;
+        this.pointerMultiplier = e.detail.pointerType === 'touch' ? this.touchSensitivityMultiplier : 1;
+        this.dragSamples = [];
+
+        // Clear auto-rotation timer and stop auto-rotation if active
+        this.stopAutoRotation();
 
         // Dispatch event for other controls
         this.canvas.dispatchEvent(new CustomEvent('rotationstart'));
@@ -116,27 +205,26 @@ export class RotationControl {
     }
 
     /**
-     * Handle pointer move event
+     * Handle drag movement
      */
-    handlePointerMove(e) {
+    handleDrag(e) {
         if (!this.isDragging) return;
 
-        // On iOS, cancel if multiple pointers detected
-        if (this.isIOS && this.activePointers.size > 1) {
-            this.handlePointerUp();
-            return;
-        }
+        const sensitivity = this.options.sensitivity * this.pointerMultiplier * 0.01;
+        const delta = { x: e.detail.dy * sensitivity, y: e.detail.dx * sensitivity };
 
-        const deltaMove = {
-            x: e.clientX - this.previousMousePosition.x,
-            y: e.clientY - this.previousMousePosition.y
-        };
+        // Sample the movement for the release velocity
+        const now = performance.now();
+        this.dragSamples.push({ time: now, ...delta });
+        while (this.dragSamples.length && now - this.dragSamples[0].time > this.options.velocityWindow) {
+            this.dragSamples.shift();
+        }
 
         // Update target rotation values - allow accumulation during drag
-        this.targetRotation.y += deltaMove.x * this.options.sensitivity * 0.01;
+        this.targetRotation.y += delta.y;
         
         // Calculate new target x rotation with vertical limit
-        const newTargetX = this.targetRotation.x + deltaMove.y * this.options.sensitivity * 0.01;
+        const newTargetX = this.targetRotation.x + delta.x;
         const verticalLimitRadians = (this.options.verticalLimit * Math.PI) / 180;
         
         // Limit the vertical rotation
@@ -145,12 +233,6 @@ export class RotationControl {
             Math.min(verticalLimitRadians, newTargetX)
         );
 
-        // Update previous position
-        this.previousMousePosition = {
-            x: e.clientX,
-            y: e.clientY
-        };
-
         // Mark that user has manually rotated the gem
         this.hasManualRotation = true;
 
@@ -161,35 +243,164 @@ export class RotationControl {
     }
 
     /**
-     * Handle pointer up event
+     * Handle the end of a drag (released, or taken over by a second pointer)
      */
-    handlePointerUp(e) {
-        // On iOS, remove pointer from tracking
-        if (this.isIOS && e) {
-            this.activePointers.delete(e.pointerId);
-        }
+    handleDragEnd(e) {
+        if (!this.isDragging) return;
 
         this.isDragging = false;
         this.canvas.dispatchEvent(new CustomEvent('rotationend', { 
             detail: { hasManualRotation: this.hasManualRotation }
         }));
-        this.startMomentumAnimation();
+
+        // Flings keep spinning; a drag handed over to a pinch doesn't
+        const velocity = e && e.detail.cancelled ? { x: 0, y: 0 } : this.releaseVelocity();
+        this.dragSamples = [];
+        if (Math.hypot(velocity.x, velocity.y) * 1000 >= this.options.minSpinVelocity) {
+            this.startSpin(velocity);
+        } else {
+            this.startMomentumAnimation();
+        }
+    }
+
+    /**
+     * Drag velocity at release in radians per ms ({ x, y }), from the samples in the velocity
+     * window; zero when the pointer was held still before letting go
+     */
+    releaseVelocity() {
+        const now = performance.now();
+        const samples = this.dragSamples.filter(sample => now - sample.time <= this.options.velocityWindow);
+        if (samples.length < 2) return { x: 0, y: 0 };
+
+        // The first sample's movement happened before the window began
+        const elapsed = now - samples[0].time;
+        if (elapsed <= 0) return { x: 0, y: 0 };
+
+        const total = samples.slice(1).reduce((sum, sample) => ({
+            x: sum.x + sample.x,
+            y: sum.y + sample.y
+        }), { x: 0, y: 0 });
+        return { x: total.x / elapsed, y: total.y / elapsed };
+    }
+
+    /**
+     * Keep turning at a velocity (radians per ms) after release, slowing with friction and
+     * springing back inside the vertical limit, then hand over to the momentum animation
+     */
+    startSpin(velocity) {
+        this.cancelAnimation();
+        this.isAnimating = false;
+        this.isSpinning = true;
+        this.spinVelocity = { ...velocity };
+
+        this.canvas.dispatchEvent(new CustomEvent('spinstart', {
+            detail: { velocity: { x: velocity.x * 1000, y: velocity.y * 1000 } },
+            bubbles: true,
+            composed: true
+        }));
+
+        const verticalLimitRadians = (this.options.verticalLimit * Math.PI) / 180;
+        const stopVelocity = this.options.minSpinVelocity / 10000;
+        let previousTime = performance.now();
+
+        const animate = (currentTime) => {
+            if (!this.isSpinning) return;
+
+            // Frame time, capped so a hidden tab doesn't jump on return
+            const dt = Math.min(Math.max(currentTime - previousTime, 0), 50);
+            previousTime = currentTime;
+
+            // Friction is given per 60 Hz frame
+            const friction = Math.pow(this.options.spinFriction, dt / (1000 / 60));
+            this.spinVelocity.x *= friction;
+            this.spinVelocity.y *= friction;
+
+            // Soft limit: a critically damped spring pulls the tilt back inside the limit
+            const overshoot = this.targetRotation.x - Math.max(-verticalLimitRadians,
+                Math.min(verticalLimitRadians, this.targetRotation.x));
+            if (overshoot !== 0) {
+                const stiffness = this.options.spinSpring / 1e6;
+                const damping = 2 * Math.sqrt(stiffness);
+                this.spinVelocity.x -= (overshoot * stiffness + this.spinVelocity.x * damping) * dt;
+            }
+
+            this.targetRotation.x += this.spinVelocity.x * dt;
+            this.targetRotation.y += this.spinVelocity.y * dt;
+
+            // Current rotation follows as it does while dragging
+            this.currentRotation.x += (this.targetRotation.x - this.currentRotation.x) * this.dragEasing;
+            this.currentRotation.y += (this.targetRotation.y - this.currentRotation.y) * this.dragEasing;
+            this.currentRotation.z += (this.targetRotation.z - this.currentRotation.z) * this.dragEasing;
+            this.updateGemRotation();
+
+            const settled = Math.abs(this.spinVelocity.x) < stopVelocity &&
+                Math.abs(this.spinVelocity.y) < stopVelocity &&
+                Math.abs(overshoot) <= this.options.threshold;
+
+            if (settled) {
+                // Land exactly on the limit rather than just past it
+                this.targetRotation.x = Math.max(-verticalLimitRadians, Math.min(verticalLimitRadians, this.targetRotation.x));
+                this.animationFrameId = null;
+                this.stopSpin(false);
+                this.startMomentumAnimation();
+            } else {
+                this.animationFrameId = requestAnimationFrame(animate);
+            }
+        };
+
+        this.animationFrameId = requestAnimationFrame(animate);
     }
 
     /**
-     * Handle pointer leave event
+     * End the spin in progress, if any; interrupted when the user or an animation took over
      */
-    handlePointerLeave(e) {
-        // On iOS, remove pointer from tracking
-        if (this.isIOS) {
-            this.activePointers.delete(e.pointerId);
+    stopSpin(interrupted) {
+        if (!this.isSpinning) return;
+
+        this.isSpinning = false;
+        this.spinVelocity = { x: 0, y: 0 };
+        if (interrupted) {
+            this.cancelAnimation();
         }
 
-        if (this.isDragging) {
-            this.handlePointerUp(e);
+        this.canvas.dispatchEvent(new CustomEvent('spinend', {
+            detail: { interrupted },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * Handle the start of a two-finger gesture
+     */
+    handleTwistStart() {
+        this.stopSpin(true);
+        this.isTwisting = true;
+        this.stopAutoRotation();
+    }
+
+    /**
+     * Roll the gem with a two-finger twist (clockwise on screen turns it clockwise)
+     */
+    handleTwist(e) {
+        if (!this.isTwisting) return;
+
+        this.targetRotation.z -= e.detail.angle;
+        this.hasManualRotation = true;
+
+        if (!this.isAnimating) {
+            this.startRotationAnimation();
         }
     }
 
+    /**
+     * Handle the end of a two-finger gesture
+     */
+    handleTwistEnd() {
+        this.isTwisting = false;
+        this.startMomentumAnimation();
+    }
+
     /**
      * Update gem rotation
      */
@@ -213,16 +424,18 @@ export class RotationControl {
 
         const animate = () => {
             // Lerp current rotation towards target
-            this.currentRotation.x += (this.targetRotation.x - this.currentRotation.x) * this.options.dragEasing;
-            this.currentRotation.y += (this.targetRotation.y - this.currentRotation.y) * this.options.dragEasing;
+            this.currentRotation.x += (this.targetRotation.x - this.currentRotation.x) * this.dragEasing;
+            this.currentRotation.y += (this.targetRotation.y - this.currentRotation.y) * this.dragEasing;
+            this.currentRotation.z += (this.targetRotation.z - this.currentRotation.z) * this.dragEasing;
 
             // Update gem rotation
             this.updateGemRotation();
 
             // Continue animation if still dragging or not at target
-            if (this.isDragging ||
+            if (this.isDragging || this.isTwisting ||
                 Math.abs(this.targetRotation.x - this.currentRotation.x) > this.options.threshold ||
-                Math.abs(this.targetRotation.y - this.currentRotation.y) > this.options.threshold) {
+                Math.abs(this.targetRotation.y - this.currentRotation.y) > this.options.threshold ||
+                Math.abs(this.targetRotation.z - this.currentRotation.z) > this.options.threshold) {
                 this.animationFrameId = requestAnimationFrame(animate);
             } else {
                 this.isAnimating = false;
@@ -238,28 +451,46 @@ export class RotationControl {
      * Find nearest cardinal rotation (in the current rotation space)
      */
     findNearestCardinalRotation(currentRotationRadians) {
+        return this.findNearestPose(currentRotationRadians, RotationControl.defaultPoses);
+    }
+
+    /**
+     * Find the nearest of a set of poses (degrees of y, repeating every full turn) to a
+     * rotation in radians, in the current rotation space
+     */
+    findNearestPose(currentRotationRadians, poses = this.options.autoRotatePoses) {
         // Convert to degrees for easier math
         const currentDegrees = currentRotationRadians * 180 / Math.PI;
-        
-        // Find the nearest multiple of 180 degrees
-        const nearestMultiple = Math.round(currentDegrees / 180) * 180;
-        
+
+        let nearest = currentDegrees;
+        let nearestDistance = Infinity;
+        poses.forEach(pose => {
+            // The turn of this pose closest to the current rotation
+            const candidate = pose + Math.round((currentDegrees - pose) / 360) * 360;
+            const distance = Math.abs(candidate - currentDegrees);
+            if (distance < nearestDistance) {
+                nearest = candidate;
+                nearestDistance = distance;
+            }
+        });
+
         // Convert back to radians
-        return nearestMultiple * Math.PI / 180;
+        return nearest * Math.PI / 180;
     }
 
     /**
      * Start momentum animation
      */
     startMomentumAnimation() {
-        if (this.isAnimating || this.isDragging) return;
+        if (this.isAnimating || this.isDragging || this.isTwisting || this.isSpinning) return;
 
         this.isAnimating = true;
 
         const animate = () => {
             // Lerp current rotation towards target
-            this.currentRotation.x += (this.targetRotation.x - this.currentRotation.x) * this.options.dragEasing;
-            this.currentRotation.y += (this.targetRotation.y - this.currentRotation.y) * this.options.dragEasing;
+            this.currentRotation.x += (this.targetRotation.x - this.currentRotation.x) * this.dragEasing;
+            this.currentRotation.y += (this.targetRotation.y - this.currentRotation.y) * this.dragEasing;
+            this.currentRotation.z += (this.targetRotation.z - this.currentRotation.z) * this.dragEasing;
 
             // Update gem rotation
             this.updateGemRotation();
@@ -267,26 +498,19 @@ export class RotationControl {
             // Check if we've come to rest
             const xDiff = Math.abs(this.targetRotation.x - this.currentRotation.x);
             const yDiff = Math.abs(this.targetRotation.y - this.currentRotation.y);
+            const zDiff = Math.abs(this.targetRotation.z - this.currentRotation.z);
 
-            if (xDiff <= this.options.threshold && yDiff <= this.options.threshold) {
+            if (xDiff <= this.options.threshold && yDiff <= this.options.threshold && zDiff <= this.options.threshold) {
                 this.isAnimating = false;
                 this.animationFrameId = null;
 
-                // Ensure both current and target are exactly equal
+                // Ensure both current and target are exactly equal, within a turn of the
+                // front (the view model turns the short way round, so this doesn't show)
+                this.targetRotation.y = this.normalizeAngle(this.targetRotation.y);
                 this.currentRotation.y = this.targetRotation.y;
 
-                // Only start auto-rotation timer if user has manually rotated
-                if (this.hasManualRotation) {
-                    // Clear any existing timer
-                    if (this.autoRotateTimer) {
-                        clearTimeout(this.autoRotateTimer);
-                    }
-
-                    // Start auto-rotation timer after delay
-                    this.autoRotateTimer = setTimeout(() => {
-                        this.startAutoRotation();
-                    }, this.options.autoRotateDelay);
-                }
+                // Start the auto-rotation timer (snapping back only after a manual rotation)
+                this.scheduleAutoRotation();
             } else {
                 this.animationFrameId = requestAnimationFrame(animate);
             }
@@ -296,23 +520,117 @@ export class RotationControl {
     }
 
     /**
-     * Start auto-rotation back to nearest front/back position
+     * Dispatch autorotationcomplete with the mode and the rotation in degrees
+     */
+    dispatchAutoRotationComplete() {
+        const toDegrees = radians => radians * 180 / Math.PI;
+        this.canvas.dispatchEvent(new CustomEvent('autorotationcomplete', {
+            detail: {
+                mode: this.options.autoRotateMode,
+                rotation: {
+                    x: toDegrees(this.currentRotation.x),
+                    y: toDegrees(this.currentRotation.y),
+                    z: toDegrees(this.currentRotation.z)
+                }
+            },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * Start auto-rotation in the current mode
      */
     startAutoRotation() {
-        if (this.isAutoRotating || this.isDragging) return;
+        if (this.isAutoRotating || this.isDragging || this.isTwisting || this.isSpinning) return;
+
+        const mode = this.options.autoRotateMode;
+        if (mode === 'turntable' || mode === 'pingpong') {
+            this.startContinuousRotation(mode);
+        } else if (mode === 'snap') {
+            this.startSnapRotation();
+        }
+    }
 
+    /**
+     * Continuous auto-rotation, levelling the tilt and roll on the way: a turntable spin or a
+     * sweep around the nearest pose. Runs until the user or another animation takes over.
+     */
+    startContinuousRotation(mode) {
         this.isAutoRotating = true;
 
-        // Find nearest cardinal rotation in current space
-        const targetY = this.findNearestCardinalRotation(this.currentRotation.y);
+        const speed = this.options.autoRotateSpeed * Math.PI / 180 / 1000; // Radians per ms
+        const sweep = this.options.autoRotateSweep * Math.PI / 180;
+        const center = this.findNearestPose(this.currentRotation.y);
+        const startTime = performance.now();
+        const startY = this.currentRotation.y;
+        let previousTime = startTime;
+        let reported = 0;
+
+        const animate = (currentTime) => {
+            // Only continue if not dragging or twisting, and not stopped
+            if (!this.isAutoRotating || this.isDragging || this.isTwisting) {
+                this.isAutoRotating = false;
+                this.animationFrameId = null;
+                return;
+            }
+
+            const elapsed = currentTime - startTime;
+            const dt = Math.min(Math.max(currentTime - previousTime, 0), 50);
+            previousTime = currentTime;
+
+            // Ease towards level over about the auto-rotate duration
+            const levelling = 1 - Math.exp(-3 * dt / this.options.autoRotateDuration);
+            this.currentRotation.x += (0 - this.currentRotation.x) * levelling;
+            this.currentRotation.z += (0 - this.currentRotation.z) * levelling;
+
+            let completed;
+            if (mode === 'turntable') {
+                // Ramp up to speed over the auto-rotate duration
+                const ramp = Math.min(elapsed / this.options.autoRotateDuration, 1);
+                this.currentRotation.y += speed * RotationControl.easeInOutQuad(ramp) * dt;
+                completed = Math.floor(Math.abs(this.currentRotation.y - startY) / (2 * Math.PI));
+            } else {
+                // Sine sweep peaking at the speed, eased into from wherever the gem is
+                const frequency = sweep > 0 ? speed / sweep : 0;
+                const phase = frequency * elapsed;
+                const target = center + sweep * Math.sin(phase);
+                this.currentRotation.y += (target - this.currentRotation.y) * Math.max(levelling, 0.1);
+                completed = Math.floor((phase + Math.PI / 2) / Math.PI);
+            }
+
+            // Update target values to match current
+            this.targetRotation = { ...this.currentRotation };
+            this.updateGemRotation();
+
+            // Report each revolution or end of sweep
+            if (completed > reported) {
+                reported = completed;
+                this.dispatchAutoRotationComplete();
+            }
+
+            this.animationFrameId = requestAnimationFrame(animate);
+        };
+
+        this.animationFrameId = requestAnimationFrame(animate);
+    }
+
+    /**
+     * Start auto-rotation back to the nearest pose
+     */
+    startSnapRotation() {
+        this.isAutoRotating = true;
+
+        // Find nearest pose in current space
+        const targetY = this.findNearestPose(this.currentRotation.y);
 
         // Store start time and initial values
         const startTime = performance.now();
         const startRotation = { ...this.currentRotation };
 
         const animate = (currentTime) => {
-            // Only continue if not dragging
-            if (this.isDragging) {
+            // Only continue if not dragging or twisting, and not stopped
+            if (!this.isAutoRotating || this.isDragging || this.isTwisting) {
                 this.isAutoRotating = false;
                 this.animationFrameId = null;
                 return;
@@ -328,6 +646,7 @@ export class RotationControl {
             // Interpolate rotations
             this.currentRotation.x = startRotation.x * (1 - easedProgress);
             this.currentRotation.y = startRotation.y + (targetY - startRotation.y) * easedProgress;
+            this.currentRotation.z = startRotation.z * (1 - easedProgress);
 
             // Update target values to match current
             this.targetRotation = { ...this.currentRotation };
@@ -346,6 +665,8 @@ export class RotationControl {
                 // Set final rotation exactly to target value
                 this.currentRotation.y = targetY;
                 this.targetRotation.y = targetY;
+                this.currentRotation.z = 0;
+                this.targetRotation.z = 0;
 
                 console.log('Auto-rotation complete - final position:', {
                     degrees: targetY * 180 / Math.PI,
@@ -353,13 +674,99 @@ export class RotationControl {
                 });
 
                 // Dispatch event for completion
-                this.canvas.dispatchEvent(new CustomEvent('autorotationcomplete'));
+                this.dispatchAutoRotationComplete();
             }
         };
 
         animate(startTime);
     }
 
+    /**
+     * Stop the running animation loop, settling a pending rotateTo() as interrupted
+     */
+    cancelAnimation() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.settleRotateTo(true);
+    }
+
+    /**
+     * Resolve the pending rotateTo() promise, if any, with { interrupted }
+     */
+    settleRotateTo(interrupted) {
+        const resolve = this.pendingRotateTo;
+        if (!resolve) return;
+
+        this.pendingRotateTo = null;
+        resolve({ interrupted });
+    }
+
+    /**
+     * Animate to a rotation (radians, x limited to the vertical limit, z defaulting to 0) over
+     * a duration in ms. Resolves with { interrupted } when the rotation completes, or early
+     * (interrupted: true) if the user, another rotateTo() or cleanup() takes over.
+     */
+    rotateTo(target, duration = this.options.autoRotateDuration) {
+        // Stop any running animation (settling an earlier rotateTo()), spin and pending auto-rotation
+        this.stopSpin(true);
+        this.cancelAnimation();
+        if (this.autoRotateTimer) {
+            clearTimeout(this.autoRotateTimer);
+            this.autoRotateTimer = null;
+        }
+        this.isAnimating = false;
+        this.isAutoRotating = false;
+        this.hasManualRotation = false;
+
+        const verticalLimitRadians = (this.options.verticalLimit * Math.PI) / 180;
+        const targetX = Math.max(-verticalLimitRadians, Math.min(verticalLimitRadians, target.x));
+        const targetY = target.y;
+        const targetZ = target.z || 0;
+
+        // Store start time and initial values
+        const startTime = performance.now();
+        const startRotation = { ...this.currentRotation };
+
+        return new Promise(resolve => {
+            this.pendingRotateTo = resolve;
+
+            const animate = (currentTime) => {
+                // The user took over
+                if (this.isDragging || this.isTwisting) {
+                    this.animationFrameId = null;
+                    this.settleRotateTo(true);
+                    return;
+                }
+
+                // Calculate eased progress (0 to 1)
+                const progress = duration > 0 ? Math.min((currentTime - startTime) / duration, 1) : 1;
+                const easedProgress = RotationControl.easeInOutQuad(progress);
+
+                // Interpolate rotations and keep the drag target in sync
+                this.currentRotation.x = startRotation.x + (targetX - startRotation.x) * easedProgress;
+                this.currentRotation.y = startRotation.y + (targetY - startRotation.y) * easedProgress;
+                this.currentRotation.z = startRotation.z + (targetZ - startRotation.z) * easedProgress;
+                this.targetRotation = { ...this.currentRotation };
+
+                this.updateGemRotation();
+
+                if (progress < 1) {
+                    this.animationFrameId = requestAnimationFrame(animate);
+                } else {
+                    this.animationFrameId = null;
+
+                    // Continuous auto-rotation picks up again once idle
+                    this.scheduleAutoRotation();
+                    this.settleRotateTo(false);
+                }
+            };
+
+            animate(startTime);
+        });
+    }
+
     /**
      * Easing function for smooth animations
      */
@@ -0,0 +1,113 @@
+export class Router {
+    constructor(options = {}) {
+        // Ordered route table: the first matching pattern wins
+        this.routes = [];
+        this.currentRoute = null;
+
+        // Path used when the URL doesn't name a gem (e.g. '/warp/21')
+        this.defaultPath = options.defaultPath || null;
+
+        // Handle browser back/forward buttons
+        window.addEventListener('popstate', (event) => {
+            this.handleRoute(window.location.pathname);
+        });
+    }
+
+    /**
+     * Add a route handler.
+     * Patterns are matched segment by segment: ':name' captures one segment into
+     * params.name and a trailing '*' captures the rest of the path into params['*'].
+     * e.g. '/gem/:slug', '/:label/:catalogNumber', '*'
+     * Handlers are called with (params, path).
+     */
+    addRoute(pattern, handler) {
+        this.routes.push({
+            pattern,
+            handler,
+            ...Router.compile(pattern)
+        });
+    }
+
+    /**
+     * Compile a route pattern into a regular expression and its parameter names
+     */
+    static compile(pattern) {
+        const names = [];
+        const source = pattern
+            .split('/')
+            .map(segment => {
+                if (segment === '*') {
+                    names.push('*');
+                    return '(.*)';
+                }
+                if (segment.startsWith(':')) {
+                    names.push(segment.slice(1));
+                    return '([^/]+)';
+                }
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+
+        return {
+            regex: new RegExp(`^${source}/?$`),
+            names
+        };
+    }
+
+    /**
+     * Find the first route matching a path, with its decoded parameters.
+     * Parameters that aren't valid URI encodings (e.g. %E0%A4%A) don't match, leaving the
+     * path to a later route such as the * not-found route, whose capture is kept undecoded.
+     */
+    match(path) {
+        for (const route of this.routes) {
+            const match = route.regex.exec(path);
+            if (!match) continue;
+
+            const params = {};
+            const decoded = route.names.every((name, index) => {
+                try {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                } catch (error) {
+                    if (name !== '*') return false;
+                    params[name] = match[index + 1];
+                }
+                return true;
+            });
+            if (decoded) {
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    // Handle a route change
+    handleRoute(path) {
+        // If no path or root path, default to the catalog's default gem
+        if ((!path || path === '/') && this.defaultPath) {
+            this.navigate(this.defaultPath, { replace: true });
+            return;
+        }
+
+        const result = this.match(path || '/');
+        if (result) {
+            this.currentRoute = result.route.pattern;
+            result.route.handler(result.params, path);
+        }
+    }
+
+    // Navigate to a new route, replacing the current history entry if requested
+    navigate(path, { replace = false } = {}) {
+        if (replace) {
+            window.history.replaceState({}, '', path);
+        } else {
+            window.history.pushState({}, '', path);
+        }
+        this.handleRoute(path);
+    }
+
+    // Handle the route of the current URL
+    start() {
+        this.handleRoute(window.location.pathname);
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * The places the player reaches into the Spline runtime's internals (shared_js/runtime.js):
+ * restarting an application, and crossfading scenes through the renderer's scene
+ * transition pass. Each is guarded; without the transition pass scenes swap without a crossfade.
+ */
+export class SplineAdapter {
+
+    /**
+     * Start a scene in an application, also one stopped, cleaned up or started before
+     */
+    static async start(spline, buffer) {
+        // Application.load() clears the disposed flag before start(); reloads need the same
+        if ('disposed' in spline) {
+            spline.disposed = false;
+        }
+        await spline.start(buffer);
+    }
+
+    /**
+     * Snapshot the current scene into the transition texture and hold it (mix ratio 0)
+     * until the crossfade runs for duration ms; ease maps its progress (0...1) to the mix ratio.
+     * Returns null when the runtime has no scene transition pass, for a plain swap.
+     */
+    static beginCrossfade(spline, duration, ease) {
+        const renderer = spline._renderer;
+        const pipeline = renderer && renderer.pipeline;
+        const pass = pipeline && pipeline.sceneTransitionPass;
+        if (!pass || !pass.uniforms || !pass.uniforms.mixRatio ||
+            typeof renderer.renderFromSceneForSceneTransitionPass !== 'function') {
+            return null;
+        }
+
+        const crossfade = new SceneCrossfade(renderer, duration, ease);
+        try {
+            crossfade.begin(spline._scene, spline._camera);
+        } catch (error) {
+            console.warn('Scene transition unavailable, swapping without a crossfade:', error);
+            crossfade.end();
+            return null;
+        }
+        return crossfade;
+    }
+}
+
+/**
+ * A crossfade in the renderer's scene transition pass, with the mix ratio driven by our
+ * own clock and easing instead of the runtime's linear one
+ */
+class SceneCrossfade {
+    constructor(renderer, duration, ease) {
+        this.renderer = renderer;
+        this.uniform = renderer.pipeline.sceneTransitionPass.uniforms.mixRatio;
+        this.duration = duration;
+        this.ease = ease;
+        this.startTime = null;
+    }
+
+    begin(scene, camera) {
+        Object.defineProperty(this.uniform, 'value', {
+            configurable: true,
+            get: () => this.startTime === null
+                ? 0
+                : this.ease(Math.min((performance.now() - this.startTime) / this.duration, 1)),
+            set: () => {}
+        });
+
+        // The runtime ends the transition when its timer runs out, so keep it open
+        // while the new scene decodes; run() sets the real duration
+        this.renderer.renderFromSceneForSceneTransitionPass(scene, camera, Number.MAX_SAFE_INTEGER);
+    }
+
+    /**
+     * Start mixing from the snapshot to the new scene
+     */
+    run() {
+        this.startTime = performance.now();
+        this.renderer.sceneTransitionDuration = this.duration;
+        this.renderer.sceneTransitionTimeRemaining = this.duration;
+    }
+
+    /**
+     * Restore the plain mix ratio uniform and drop the snapshot, also when the crossfade never ran
+     */
+    end() {
+        delete this.uniform.value;
+        this.uniform.value = 1;
+
+        this.renderer.sceneTransitionTimeRemaining = -1;
+        this.renderer.pipeline.sceneTransitionFromTexture = null;
+    }
+}
@@ -1,5 +1,16 @@
 export class ThemeColor {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} [options.host] - player element that receives --gem-text-color
+     * @param {HTMLElement} [options.panelOverlay] - permission panel tinted with the background
+     * @param {boolean} [options.themeDocument] - also theme the body and theme-color meta tag
+     *                                            (defaults to true when there is no host)
+     */
+    constructor(options = {}) {
+        this.host = options.host || null;
+        this.panelOverlay = options.panelOverlay || null;
+        this.themeDocument = options.themeDocument !== undefined ? options.themeDocument : !this.host;
+
         // Constants for theme color transitions
         this.TRANSITION_DURATION = 1000; // Duration in milliseconds
         this.TRANSITION_DELAY = 1000;    // Delay before starting transition
@@ -9,13 +20,8 @@ export class ThemeColor {
         this.LIGHT_FONT_COLOR = '#f0f0f0'; // Light text color (for dark backgrounds)
         this.DARK_FONT_COLOR = '#111111';  // Dark text color (for light backgrounds)
         
-        // Create meta tag for theme color if it doesn't exist
-        this.metaTag = document.querySelector('meta[name="theme-color"]');
-        if (!this.metaTag) {
-            this.metaTag = document.createElement('meta');
-            this.metaTag.name = 'theme-color';
-            document.head.appendChild(this.metaTag);
-        }
+        // Theme color meta tag, looked up once the document is themed
+        this.metaTag = null;
         
         // Initialize transition state
         this.transition = {
@@ -27,6 +33,21 @@ export class ThemeColor {
         };
     }
 
+    /**
+     * Find the theme color meta tag, creating it if it doesn't exist
+     */
+    getMetaTag() {
+        if (!this.metaTag) {
+            this.metaTag = document.querySelector('meta[name="theme-color"]');
+            if (!this.metaTag) {
+                this.metaTag = document.createElement('meta');
+                this.metaTag.name = 'theme-color';
+                document.head.appendChild(this.metaTag);
+            }
+        }
+        return this.metaTag;
+    }
+
     /**
      * Convert RGB to HSV
      */
@@ -177,16 +198,17 @@ export class ThemeColor {
     }
 
     /**
-     * Update all background colors and theme color
+     * Update all background colors and theme color.
+     * An explicit font color overrides the one derived from the background brightness.
      */
-    setColor(newColor) {
+    setColor(newColor, fontColor) {
         // Calculate background brightness
         const brightness = this.calculateBrightness(newColor);
         
         // Determine font color based on brightness
-        const baseFontColor = brightness > this.BRIGHTNESS_THRESHOLD 
+        const baseFontColor = fontColor || (brightness > this.BRIGHTNESS_THRESHOLD 
             ? this.DARK_FONT_COLOR 
-            : this.LIGHT_FONT_COLOR;
+            : this.LIGHT_FONT_COLOR);
         
         // Update panel overlay with semi-transparent version
         const rgbMatch = newColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
@@ -194,19 +216,31 @@ export class ThemeColor {
             const rgbaColor = `rgba(${rgbMatch[1]}, ${rgbMatch[2]}, ${rgbMatch[3]}, 0.5)`;
             
             // Update panel overlay background and font color
-            const panelOverlay = document.getElementById('panel-overlay');
+            const panelOverlay = this.getPanelOverlay();
             if (panelOverlay) {
                 panelOverlay.style.backgroundColor = rgbaColor;
                 panelOverlay.style.color = baseFontColor.replace(')', ', 0.5)').replace('rgb', 'rgba');
             }
         }
 
+        // Expose the font color, and a contrast color for the progress ring, to the player's shadow styles
+        if (this.host) {
+            this.host.style.setProperty('--gem-text-color', baseFontColor);
+            this.host.style.setProperty('--gem-progress-color', brightness > this.BRIGHTNESS_THRESHOLD
+                ? this.DARK_FONT_COLOR
+                : this.LIGHT_FONT_COLOR);
+        }
+
+        // Everything below themes the document itself
+        if (!this.themeDocument) return;
+
         // Update body background and font color
         document.body.style.backgroundColor = newColor;
         document.body.style.color = baseFontColor;
 
         // Get current theme color
-        let currentColor = this.metaTag.content;
+        const metaTag = this.getMetaTag();
+        let currentColor = metaTag.content;
 
         // If current color is black or null, use document body background color
         if (!currentColor || currentColor === 'rgb(0, 0, 0)') {
@@ -220,7 +254,7 @@ export class ThemeColor {
         }
 
         // Set initial color immediately
-        this.metaTag.content = currentColor;
+        metaTag.content = currentColor;
 
         // Start transition after delay
         setTimeout(() => {
@@ -244,7 +278,7 @@ export class ThemeColor {
                 );
 
                 // Update meta tag
-                this.metaTag.content = currentColor;
+                metaTag.content = currentColor;
 
                 // Continue animation if not complete
                 if (progress < 1) {
@@ -259,6 +293,14 @@ export class ThemeColor {
         }, this.TRANSITION_DELAY);
     }
 
+    /**
+     * The permission panel to tint: the player's own, or the page's when theming the document
+     */
+    getPanelOverlay() {
+        if (this.panelOverlay) return this.panelOverlay;
+        return this.themeDocument ? document.getElementById('panel-overlay') : null;
+    }
+
     /**
      * Clean up any ongoing transitions
      */
@@ -283,14 +325,16 @@ export class ThemeColor {
             const rgbaColor = `rgba(${rgbMatch[1]}, ${rgbMatch[2]}, ${rgbMatch[3]}, 0.5)`;
             
             // Update panel overlay background
-            const panelOverlay = document.getElementById('panel-overlay');
+            const panelOverlay = this.getPanelOverlay();
             if (panelOverlay) {
                 panelOverlay.style.backgroundColor = rgbaColor;
             }
         }
 
         // Update body background
-        document.body.style.backgroundColor = bgColor;
+        if (this.themeDocument) {
+            document.body.style.backgroundColor = bgColor;
+        }
 
         // Update theme color with smooth transition
         this.setColor(bgColor);
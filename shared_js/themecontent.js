@@ -1,32 +1,54 @@
 export class ThemeContent {
-    constructor() {
+    /**
+     * @param {Node} container - where the overlay is added (a player's shadow root, or the body)
+     */
+    constructor(container = document.body) {
+        this.container = container;
+
         // Create text overlay container
         this.textOverlay = document.createElement('div');
         this.textOverlay.className = 'text-overlay';
+        this.textOverlay.setAttribute('part', 'text-overlay');
         
         // Create content elements
         this.artistName = document.createElement('div');
         this.artistName.className = 'artist-name';
+        this.artistName.setAttribute('part', 'artist');
         
         this.albumTitle = document.createElement('div');
         this.albumTitle.className = 'album-title';
+        this.albumTitle.setAttribute('part', 'album');
         
         this.published = document.createElement('div');
         this.published.className = 'published';
+        this.published.setAttribute('part', 'published');
         
         // Assemble elements
         this.textOverlay.appendChild(this.artistName);
         this.textOverlay.appendChild(this.albumTitle);
         this.textOverlay.appendChild(this.published);
         
-        // Add elements to document
-        document.body.appendChild(this.textOverlay);
+        // Add elements to the container
+        this.container.appendChild(this.textOverlay);
     }
 
     /**
      * Update content from gem-player attributes
      */
     updateContent(gemPlayer) {
+        // Re-attach the overlay if it was removed by cleanup() before a reload
+        if (!this.textOverlay.parentNode) {
+            this.container.appendChild(this.textOverlay);
+        }
+
+        // Tag the overlay with the gem id so it can be styled per gem
+        const gemId = gemPlayer.getAttribute('gem');
+        if (gemId) {
+            this.textOverlay.dataset.gem = gemId;
+        } else {
+            delete this.textOverlay.dataset.gem;
+        }
+
         // Update artist name
         const artistName = gemPlayer.getAttribute('artist');
         this.artistName.textContent = artistName || '';
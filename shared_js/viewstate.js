@@ -1,16 +1,51 @@
+import { Quaternion } from './quaternion.mjs';
+
 /**
- * Represents the state of a view object (position and rotation)
+ * Represents the state of a view object (position and orientation).
+ * Orientation is kept both as a quaternion and as Euler angles (XYZ order). rotation is
+ * live, so state.rotation.x += ... updates the quaternion too. Euler angles accumulate:
+ * those set are kept as given (e.g. several turns of y), and setting the quaternion picks
+ * the angles closest to the previous ones rather than the canonical ones.
  */
 export class ViewState {
     constructor(position = { x: 0, y: 0, z: 0 }, rotation = { x: 0, y: 0, z: 0 }) {
         this.position = { ...position };
-        this.rotation = { ...rotation };
+
+        // Accumulated Euler angles, read and written through the live rotation object
+        this._euler = { x: 0, y: 0, z: 0 };
+        this._rotation = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            Object.defineProperty(this._rotation, axis, {
+                enumerable: true,
+                get: () => this._euler[axis],
+                set: (value) => {
+                    this._euler[axis] = value;
+                    this._quaternion = Quaternion.fromEuler(this._euler);
+                }
+            });
+        });
+
+        this.rotation = rotation;
+    }
+
+    // Euler rotation ({ x, y, z } in radians), live
+    get rotation() { return this._rotation; }
+    set rotation(value) {
+        this._euler = { x: value.x, y: value.y, z: value.z };
+        this._quaternion = Quaternion.fromEuler(this._euler);
+    }
+
+    // Orientation quaternion ({ x, y, z, w }, normalized when set)
+    get quaternion() { return { ...this._quaternion }; }
+    set quaternion(value) {
+        this._quaternion = Quaternion.normalize(value);
+        this._euler = Quaternion.toEulerNear(this._quaternion, this._euler);
     }
 
     clone() {
-        return new ViewState(
-            { ...this.position },
-            { ...this.rotation }
-        );
+        const state = new ViewState({ ...this.position });
+        state._euler = { ...this._euler };
+        state._quaternion = { ...this._quaternion };
+        return state;
     }
-} 
\ No newline at end of file
+}
@@ -1,141 +1,313 @@
 /**
- * Controls camera zoom based on screen size
+ * Controls camera zoom: continuous zoom between a minimum and maximum camera distance,
+ * driven by wheel delta, Safari trackpad gesture scale and two-finger pinches, towards
+ * the point under the cursor or between the fingers. Pinches, two-finger pans and double
+ * taps come from a GestureRecognizer (options.gestures) on any pointer events device.
+ *
+ * zoomLevel runs from 0 (furthest, the base distance for the screen size) to 2 (closest),
+ * spaced evenly in scale so each step magnifies by the same amount.
  */
 export class ZoomControl {
+
+    // Highest zoom level (at the minimum distance)
+    static MAX_LEVEL = 2;
+
     constructor(cameraViewModel, options = {}) {
         this.cameraViewModel = cameraViewModel;
         this.options = {
             mobileWidth: 1024,
             mobilePosition: 4000,
-            maxZoom: .675,
             desktopPosition: 2500,
+            maxZoom: 2, // Magnification at the minimum distance when minDistance isn't given
+            minDistance: null, // Closest camera distance (defaults to the base distance / maxZoom)
+            maxDistance: null, // Furthest camera distance (defaults to the base distance for the screen size)
             debounceDelay: 250,
-            minWheelThreshold: 5, // Minimum wheel delta required to trigger zoom
+            wheelSensitivity: 0.0015, // Zoom scale change per pixel of wheel delta
+            pinchSensitivity: 0.01, // Same for trackpad pinches, which arrive as ctrl + wheel
+            zoomToCursor: true, // Keep the point under the cursor (or pinch center) in place
+            fieldOfView: () => 45, // Camera's vertical field of view in degrees, for zoom to cursor
+            target: window, // Element receiving wheel and pinch events
+            isActive: () => true, // Whether this control should react to input (e.g. its player is hovered)
+            gestures: null, // GestureRecognizer for pinches, pans and double taps
             ...options
         };
 
         this._resizeHandler = null;
         this._wheelHandler = null;
+        this._gestureStartHandler = null;
         this._gestureHandler = null;
+        this._gestureHandlers = {};
         this._debounceTimer = null;
-        this._wheelDebounceTimer = null;
-        this.zoomLevel = 0; // 0 = base, 1 = first zoom, 2 = max zoom
-        this.lastWheelTime = 0;
-        this.lastWheelDirection = 0; // -1 for up, 1 for down, 0 for none
-        this.isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
+
+        // Target camera distance, and the distance range it was set in ({ min, max }, set by
+        // apply() as the screen size changes)
+        this.distance = null;
+        this.range = null;
+
+        // Pinch in progress ({ distance } when it started)
+        this.pinch = null;
+
+        // Distance when a Safari gesture started (its scale is relative to the start)
+        this.gestureStartDistance = null;
 
         // Create bound handler that we can reference later for cleanup
         this._resizeHandler = () => {
             // Clear previous debounce timer
             clearTimeout(this._debounceTimer);
-            
+
             // Set a new debounce timer
             this._debounceTimer = setTimeout(() => {
                 this.apply();
             }, this.options.debounceDelay);
         };
 
-        // Create wheel handler for desktop
+        // Wheels and trackpads; trackpad pinches arrive as wheel events with ctrlKey set
         this._wheelHandler = (e) => {
-            if (!this.cameraViewModel || this.isIOS) return;
+            if (!this.cameraViewModel || !this.options.isActive()) return;
 
-            // Prevent default wheel behavior
-            // e.preventDefault();
+            // Keep the page from scrolling, or with ctrlKey the browser from zooming it
+            e.preventDefault();
 
-            // Check if wheel movement exceeds threshold
-            if (Math.abs(e.deltaY) < this.options.minWheelThreshold) {
-                return;
-            }
+            let delta = e.deltaY;
+            if (e.deltaMode === 1) delta *= 16; // Lines
+            if (e.deltaMode === 2) delta *= window.innerHeight; // Pages
 
-            // Debounce wheel events
-            const now = Date.now();
-            if (now - this.lastWheelTime < this.options.debounceDelay) {
-                return;
-            }
+            delta *= e.ctrlKey ? this.options.pinchSensitivity : this.options.wheelSensitivity;
 
-            // Get current wheel direction
-            const currentDirection = e.deltaY < 0 ? 1 : -1;
+            // Scrolling down (positive deltaY) zooms in
+            this.zoomAt(this.distance * Math.exp(-delta), e.clientX, e.clientY);
+        };
 
-            // Update last wheel time
-            this.lastWheelTime = now;
+        // Safari gesture events (iOS and macOS trackpads); scale is relative to the start
+        this._gestureStartHandler = (e) => {
+            if (!this.cameraViewModel || !this.options.isActive()) return;
 
-            this.handleZoom(currentDirection);
+            e.preventDefault();
+            this.gestureStartDistance = this.distance;
         };
 
-        // Create gesture handler for iOS pinch
         this._gestureHandler = (e) => {
-            if (!this.cameraViewModel || !this.isIOS) return;
+            if (!this.cameraViewModel || !this.options.isActive()) return;
 
             // Prevent default gesture behavior
             e.preventDefault();
 
-            // Debounce gesture events
-            const now = Date.now();
-            if (now - this.lastWheelTime < this.options.debounceDelay) {
-                return;
-            }
-
-            // Get gesture direction (negative scale = pinch in, positive = pinch out)
-            const currentDirection = e.scale < 1 ? 1 : -1;
+            // Touch pinches (iOS sends both) are followed through the gesture recognizer instead
+            if (this.hasTouchPointers || this.gestureStartDistance === null || !e.scale) return;
 
-            // Update last wheel time
-            this.lastWheelTime = now;
+            this.zoomAt(this.gestureStartDistance / e.scale, e.clientX, e.clientY);
+        };
 
-            this.handleZoom(currentDirection);
+        // Two-finger pinches, pans and double taps from the gesture recognizer
+        this._gestureHandlers = {
+            pinchstart: () => {
+                this.pinch = { distance: this.distance };
+            },
+            pinch: (e) => {
+                if (!this.pinch || !this.cameraViewModel || !(e.detail.scale > 0)) return;
+                this.zoomAt(this.pinch.distance / e.detail.scale, e.detail.center.x, e.detail.center.y);
+            },
+            pan: (e) => {
+                if (!this.pinch || !this.cameraViewModel) return;
+                this.panBy(e.detail.dx, e.detail.dy);
+            },
+            pinchend: () => {
+                this.pinch = null;
+            },
+            doubletap: (e) => {
+                if (!this.cameraViewModel) return;
+                this.toggleZoomAt(e.detail.x, e.detail.y);
+            }
         };
 
         // Bind the handlers
+        const target = this.options.target;
         window.addEventListener('resize', this._resizeHandler);
-        window.addEventListener('wheel', this._wheelHandler);
-        if (this.isIOS) {
-            window.addEventListener('gesturechange', this._gestureHandler);
+        target.addEventListener('wheel', this._wheelHandler, { passive: false });
+        target.addEventListener('gesturestart', this._gestureStartHandler);
+        target.addEventListener('gesturechange', this._gestureHandler);
+        if (this.options.gestures) {
+            Object.entries(this._gestureHandlers).forEach(([type, handler]) => {
+                this.options.gestures.addEventListener(type, handler);
+            });
         }
-        
+
         // Initial position setting
         this.apply();
     }
 
     /**
-     * Handle zoom action for both wheel and gesture events
+     * Base camera distance for the screen size
+     */
+    get baseDistance() {
+        const isMobile = window.innerWidth < this.options.mobileWidth;
+        return isMobile ? this.options.mobilePosition : this.options.desktopPosition;
+    }
+
+    /**
+     * Furthest camera distance (zoom level 0)
+     */
+    get maxDistance() {
+        return this.options.maxDistance || this.baseDistance;
+    }
+
+    /**
+     * Closest camera distance (the highest zoom level)
+     */
+    get minDistance() {
+        return Math.min(this.options.minDistance || this.baseDistance / this.options.maxZoom, this.maxDistance);
+    }
+
+    /**
+     * Current zoom level, from 0 (furthest) to MAX_LEVEL (closest), fractional in between
+     */
+    get zoomLevel() {
+        return this.range ? this.levelForDistance(this.distance) : 0;
+    }
+
+    /**
+     * Zoom level for a camera distance in the current distance range
+     */
+    levelForDistance(distance) {
+        const scale = Math.log(this.range.max / this.range.min);
+        if (scale <= 0) return 0;
+        return ZoomControl.MAX_LEVEL * Math.log(this.range.max / distance) / scale;
+    }
+
+    /**
+     * Camera distance for a zoom level in the current distance range
+     */
+    distanceForLevel(level) {
+        const progress = Math.max(0, Math.min(ZoomControl.MAX_LEVEL, level)) / ZoomControl.MAX_LEVEL;
+        return this.range.max * Math.pow(this.range.min / this.range.max, progress);
+    }
+
+    /**
+     * Whether touch pointers are down (Safari also reports touch pinches as gesture events)
+     */
+    get hasTouchPointers() {
+        const gestures = this.options.gestures;
+        return Boolean(gestures) && Array.from(gestures.pointers.values()).some(p => p.pointerType === 'touch');
+    }
+
+    /**
+     * Zoom to a level (0 = base, MAX_LEVEL = max zoom, fractional levels in between),
+     * around the center of the view. Resolves when the camera has reached the new distance.
+     */
+    zoomTo(level) {
+        if (!this.cameraViewModel) return Promise.resolve();
+
+        this.zoomAt(this.distanceForLevel(level));
+        return this.cameraViewModel.settled();
+    }
+
+    /**
+     * Zoom all the way in towards a screen point, or back out when already past halfway
+     */
+    toggleZoomAt(clientX, clientY) {
+        if (this.zoomLevel < ZoomControl.MAX_LEVEL / 2) {
+            this.zoomAt(this.range.min, clientX, clientY);
+        } else {
+            this.zoomAt(this.range.max, clientX, clientY);
+        }
+    }
+
+    /**
+     * Move the view by a screen distance in pixels, as far as the zoom allows
      */
-    handleZoom(currentDirection) {
-        // Get current camera direction (normalized)
-        const currentPos = this.cameraViewModel.currentPosition;
+    panBy(dx, dy) {
+        const { rect, halfWidth, halfHeight } = this.viewExtents();
+        if (!rect || rect.width <= 0 || rect.height <= 0) return;
+
+        // Moving the content with the fingers moves the camera the other way
+        const offset = this.cameraViewModel.offset;
+        offset.x -= dx / rect.width * 2 * halfWidth * this.distance;
+        offset.y += dy / rect.height * 2 * halfHeight * this.distance;
+        this.cameraViewModel.offset = this.clampOffset(offset, this.distance);
+    }
+
+    /**
+     * Move the camera to a distance (clamped to the min/max distances). With a screen
+     * point (client coordinates) the camera also shifts so that point stays in place.
+     */
+    zoomAt(distance, clientX, clientY) {
+        const newDistance = Math.max(this.range.min, Math.min(this.range.max, distance));
+        const previousDistance = this.distance;
+        this.distance = newDistance;
+
+        this.cameraViewModel.offset = this.offsetFor(previousDistance, newDistance, clientX, clientY);
+        this.setDistance(newDistance);
+    }
+
+    /**
+     * The target's bounding rectangle, and half the view's width and height per unit of
+     * distance from the camera
+     */
+    viewExtents() {
+        const target = this.options.target;
+        const rect = target.getBoundingClientRect ? target.getBoundingClientRect() : null;
+
+        const fieldOfView = this.options.fieldOfView() || 45;
+        const halfHeight = Math.tan(fieldOfView * Math.PI / 360);
+        const aspect = rect && rect.height > 0 ? rect.width / rect.height : window.innerWidth / window.innerHeight;
+        return { rect, halfWidth: halfHeight * aspect, halfHeight };
+    }
+
+    /**
+     * Camera offset (along the view's right and up axes) keeping a screen point in place
+     * while moving between distances
+     */
+    offsetFor(previousDistance, distance, clientX, clientY) {
+        const offset = this.cameraViewModel.offset;
+        const { rect, halfWidth, halfHeight } = this.viewExtents();
+
+        if (this.options.zoomToCursor && rect && clientX !== undefined && rect.width > 0 && rect.height > 0) {
+            // Cursor in normalized device coordinates (-1...1, y up)
+            const x = (clientX - rect.left) / rect.width * 2 - 1;
+            const y = 1 - (clientY - rect.top) / rect.height * 2;
+
+            offset.x += x * halfWidth * (previousDistance - distance);
+            offset.y += y * halfHeight * (previousDistance - distance);
+        }
+
+        return this.clampOffset(offset, distance);
+    }
+
+    /**
+     * Limit an offset at a distance. The allowed offset shrinks to nothing at the maximum
+     * distance, so zooming all the way out recenters the view.
+     */
+    clampOffset(offset, distance) {
+        const { halfWidth, halfHeight } = this.viewExtents();
+        const limit = Math.max(0, this.range.max - distance);
+        return {
+            x: Math.max(-limit * halfWidth, Math.min(limit * halfWidth, offset.x)),
+            y: Math.max(-limit * halfHeight, Math.min(limit * halfHeight, offset.y))
+        };
+    }
+
+    /**
+     * Move the camera to a distance from the origin, keeping its direction
+     */
+    setDistance(newDistance) {
+        // Get current camera direction from the target position (kept by drift control)
+        const currentPos = this.cameraViewModel.position;
         const distance = Math.sqrt(
             currentPos.x * currentPos.x +
             currentPos.y * currentPos.y +
             currentPos.z * currentPos.z
         );
 
-        // Determine if we should zoom in or out based on direction
-        const shouldZoomIn = currentDirection < 0;
-        const shouldZoomOut = currentDirection > 0;
-
-        // Get the base distance (either mobile or desktop)
-        const isMobile = window.innerWidth < this.options.mobileWidth;
-        const baseDistance = isMobile ? this.options.mobilePosition : this.options.desktopPosition;
-
-        // Calculate new zoom level - only change by 1 step
-        let newZoomLevel = this.zoomLevel;
-        if (shouldZoomIn && this.zoomLevel < 2) {
-            newZoomLevel = this.zoomLevel + 1;
-        } else if (shouldZoomOut && this.zoomLevel > 0) {
-            newZoomLevel = this.zoomLevel - 1;
-        } else {
-            // No change needed
+        // If distance is zero, set a default forward-facing position
+        if (distance === 0) {
+            this.cameraViewModel.position = {
+                x: 0,
+                y: 0,
+                z: newDistance
+            };
             return;
         }
 
-        // Calculate zoom multiplier based on level
-        // Level 0 = 1.0 (base)
-        // Level 1 = maxZoom
-        // Level 2 = maxZoom * maxZoom
-        const zoomMultiplier = Math.pow(this.options.maxZoom, newZoomLevel);
-        const newDistance = baseDistance * zoomMultiplier;
-
-        // Update zoom level
-        this.zoomLevel = newZoomLevel;
-
         // Calculate normalized direction
         const direction = {
             x: currentPos.x / distance,
@@ -155,69 +327,57 @@ export class ZoomControl {
      * Clean up event listeners and references
      */
     cleanup() {
+        const target = this.options.target;
+
         if (this._resizeHandler) {
             window.removeEventListener('resize', this._resizeHandler);
             this._resizeHandler = null;
         }
-        
+
         if (this._wheelHandler) {
-            window.removeEventListener('wheel', this._wheelHandler);
+            target.removeEventListener('wheel', this._wheelHandler, { passive: false });
             this._wheelHandler = null;
         }
 
+        if (this._gestureStartHandler) {
+            target.removeEventListener('gesturestart', this._gestureStartHandler);
+            this._gestureStartHandler = null;
+        }
+
         if (this._gestureHandler) {
-            window.removeEventListener('gesturechange', this._gestureHandler);
+            target.removeEventListener('gesturechange', this._gestureHandler);
             this._gestureHandler = null;
         }
-        
+
+        if (this.options.gestures) {
+            Object.entries(this._gestureHandlers).forEach(([type, handler]) => {
+                this.options.gestures.removeEventListener(type, handler);
+            });
+            this._gestureHandlers = {};
+        }
+
         if (this._debounceTimer) {
             clearTimeout(this._debounceTimer);
             this._debounceTimer = null;
         }
 
+        this.pinch = null;
+
         // Clear reference to view model
         this.cameraViewModel = null;
     }
 
     /**
-     * Apply zoom based on screen size
+     * Apply the distance range for the screen size, keeping the zoom level
      */
     apply() {
         if (!this.cameraViewModel) return;
 
-        const isMobile = window.innerWidth < this.options.mobileWidth;
-        const targetDistance = isMobile ? this.options.mobilePosition : this.options.desktopPosition;
-
-        // Get current camera direction (normalized)
-        const currentPos = this.cameraViewModel.currentPosition;
-        const distance = Math.sqrt(
-            currentPos.x * currentPos.x +
-            currentPos.y * currentPos.y +
-            currentPos.z * currentPos.z
-        );
+        const level = this.zoomLevel;
+        this.range = { min: this.minDistance, max: this.maxDistance };
+        this.distance = this.distanceForLevel(level);
 
-        // If distance is zero, set a default forward-facing position
-        if (distance === 0) {
-            this.cameraViewModel.position = {
-                x: 0,
-                y: 0,
-                z: targetDistance
-            };
-            return;
-        }
-
-        // Calculate normalized direction
-        const direction = {
-            x: currentPos.x / distance,
-            y: currentPos.y / distance,
-            z: currentPos.z / distance
-        };
-
-        // Set new position maintaining direction but updating distance
-        this.cameraViewModel.position = {
-            x: direction.x * targetDistance,
-            y: direction.y * targetDistance,
-            z: direction.z * targetDistance
-        };
+        this.cameraViewModel.offset = this.offsetFor(this.distance, this.distance);
+        this.setDistance(this.distance);
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,178 @@
+/**
+ * Service worker for the installed app.
+ * The app shell (pages, shared/ and shared_js/) is precached per shell version, which the
+ * server stamps into this file so any change to a shell file (e.g. runtime.js) installs a
+ * new worker. Gems saved for offline live in their own cache; page routes whose gem is
+ * unavailable offline get the offline fallback page.
+ */
+
+// Content hash of the app shell, filled in by the server
+const SHELL_VERSION = '<%=shellVersion%>';
+
+// Cache names; gems saved for offline outlive shell versions (see shared_js/offlinelibrary.js)
+const SHELL_CACHE_PREFIX = 'gems-shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + SHELL_VERSION;
+const OFFLINE_GEMS_CACHE = 'gems-offline';
+
+// Catalog kept with the shell so routes resolve offline
+const CATALOG_URL = '/api/gems';
+
+const OFFLINE_PAGE = '/offline.html';
+const APP_PAGE = '/index.html';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        removeOldShells().then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over once the user accepts an update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request, url));
+    } else if (url.pathname === CATALOG_URL) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (url.pathname.endsWith('.gem')) {
+        event.respondWith(handleGem(request));
+    } else if (url.pathname.startsWith('/shared/') || url.pathname.startsWith('/shared_js/') ||
+               url.pathname.startsWith('/assets/icons/')) {
+        event.respondWith(handleShellFile(request, url));
+    }
+});
+
+/**
+ * Download every file of the current shell into a fresh cache
+ */
+async function precacheShell() {
+    const response = await fetch('/api/shell', { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Failed to load shell manifest: ${response.status}`);
+    }
+    const { files } = await response.json();
+
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll([...files, CATALOG_URL].map(file => new Request(file, { cache: 'reload' })));
+}
+
+/**
+ * Delete the shells of previous versions
+ */
+async function removeOldShells() {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+        .map(name => caches.delete(name)));
+}
+
+/**
+ * Try the network, keeping a copy of good responses; fall back to the cache offline
+ */
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Shell files with a ?v= content hash never change, so the precached copy is used as is.
+ * Development pages stamp their files with the shell version instead, which this worker's
+ * shell holds unversioned. Anything else (e.g. a newer shell's files) goes to the network first.
+ */
+async function handleShellFile(request, url) {
+    const version = url.searchParams.get('v');
+    if (version) {
+        const cache = await caches.open(SHELL_CACHE);
+        const cached = await cache.match(request, { ignoreSearch: version === SHELL_VERSION });
+        if (cached) return cached;
+    }
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Gems saved for offline are served from their cache; others come from the network,
+ * with any saved version of the gem as a fallback offline
+ */
+async function handleGem(request) {
+    const cache = await caches.open(OFFLINE_GEMS_CACHE);
+    const saved = await cache.match(request);
+    if (saved) return saved;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const fallback = await cache.match(request, { ignoreSearch: true });
+        if (fallback) return fallback;
+        throw error;
+    }
+}
+
+/**
+ * Page routes: the network when online; offline, the app when the route's gem is saved
+ * (the app then loads it from the cache) and the offline page otherwise
+ */
+async function handleNavigation(request, url) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const gem = await findSavedGem(url.pathname);
+        const page = await caches.match(gem ? APP_PAGE : OFFLINE_PAGE, { ignoreSearch: true });
+        if (page) return page;
+
+        return new Response('You are offline', {
+            status: 503,
+            headers: { 'Content-Type': 'text/plain' }
+        });
+    }
+}
+
+/**
+ * The catalog gem for a route path, if its file is saved for offline
+ */
+async function findSavedGem(pathname) {
+    const response = await caches.match(CATALOG_URL, { ignoreSearch: true });
+    if (!response) return null;
+
+    const catalog = await response.json();
+    const routePath = pathname.replace(/\/$/, '').toLowerCase();
+    const gem = routePath === ''
+        ? catalog.gems.find(entry => entry.id === catalog.default) || catalog.gems[0]
+        : catalog.gems.find(entry =>
+            entry.path.toLowerCase() === routePath || `/gem/${entry.id}` === routePath);
+    if (!gem) return null;
+
+    const cache = await caches.open(OFFLINE_GEMS_CACHE);
+    const saved = await cache.match(gem.url, { ignoreSearch: true });
+    return saved ? gem : null;
+}
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { negotiateEncoding, matchesETag, parseRange, sendEntry } from '../server/delivery.js';
+
+// Cache entry of ten bytes with both compressed variants ready
+function createEntry() {
+    return {
+        data: Buffer.from('0123456789'),
+        etag: '"abc123"',
+        encoded: { br: Buffer.from('b'), gzip: Buffer.from('g') }
+    };
+}
+
+// Stand-in for http.ServerResponse recording what was sent
+function createResponse() {
+    return {
+        status: null,
+        headers: null,
+        body: null,
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        end(body) {
+            this.body = body;
+        }
+    };
+}
+
+test('parseRange reads explicit, open-ended and suffix ranges', () => {
+    assert.deepEqual(parseRange('bytes=2-5', 10), { start: 2, end: 5 });
+    assert.deepEqual(parseRange('bytes=4-', 10), { start: 4, end: 9 });
+    assert.deepEqual(parseRange('bytes=-3', 10), { start: 7, end: 9 });
+    assert.deepEqual(parseRange('bytes=-30', 10), { start: 0, end: 9 });
+    assert.deepEqual(parseRange('bytes=8-100', 10), { start: 8, end: 9 });
+});
+
+test('parseRange rejects unsatisfiable ranges and ignores multiple or malformed ones', () => {
+    assert.equal(parseRange('bytes=10-', 10), false);
+    assert.equal(parseRange('bytes=6-2', 10), false);
+
+    assert.equal(parseRange('bytes=0-1,4-5', 10), null);
+    assert.equal(parseRange('bytes=-', 10), null);
+    assert.equal(parseRange('items=0-1', 10), null);
+});
+
+test('sendEntry answers an unsatisfiable range with 416 and the size', () => {
+    const res = createResponse();
+    const status = sendEntry({ headers: { range: 'bytes=20-' } }, res, createEntry(), {});
+
+    assert.equal(status, 416);
+    assert.equal(res.status, 416);
+    assert.equal(res.headers['Content-Range'], 'bytes */10');
+});
+
+test('sendEntry serves a satisfiable range from the raw bytes', () => {
+    const res = createResponse();
+    const status = sendEntry({ headers: { range: 'bytes=-4', 'accept-encoding': 'br' } }, res, createEntry(), {});
+
+    assert.equal(status, 206);
+    assert.equal(res.headers['Content-Range'], 'bytes 6-9/10');
+    assert.equal(res.headers['Content-Encoding'], undefined);
+    assert.equal(res.body.toString(), '6789');
+});
+
+test('negotiateEncoding follows q-values, preferring brotli on ties', () => {
+    const entry = createEntry();
+
+    assert.equal(negotiateEncoding('gzip, br', entry), 'br');
+    assert.equal(negotiateEncoding('br;q=0.5, gzip', entry), 'gzip');
+    assert.equal(negotiateEncoding('gzip;q=0.8, br;q=0.8', entry), 'br');
+    assert.equal(negotiateEncoding('br;q=0, gzip;q=0.1', entry), 'gzip');
+    assert.equal(negotiateEncoding('*', entry), 'br');
+    assert.equal(negotiateEncoding('*;q=0', entry), null);
+    assert.equal(negotiateEncoding('deflate', entry), null);
+    assert.equal(negotiateEncoding(undefined, entry), null);
+});
+
+test('negotiateEncoding compresses for clients refusing identity, when it can', () => {
+    const entry = createEntry();
+    assert.equal(negotiateEncoding('identity;q=0, gzip', entry), 'gzip');
+
+    // Only variants that turned out smaller than the raw bytes exist
+    delete entry.encoded.br;
+    assert.equal(negotiateEncoding('identity;q=0, br, gzip;q=0.5', entry), 'gzip');
+});
+
+test('matchesETag accepts weak tags, encoding variants and lists', () => {
+    const entry = createEntry();
+
+    assert.equal(matchesETag('"abc123"', entry), true);
+    assert.equal(matchesETag('W/"abc123"', entry), true);
+    assert.equal(matchesETag('"abc123-br"', entry), true);
+    assert.equal(matchesETag('"other", W/"abc123-gzip"', entry), true);
+    assert.equal(matchesETag('*', entry), true);
+
+    assert.equal(matchesETag('"other", "abc1234"', entry), false);
+    assert.equal(matchesETag('"abc12"', entry), false);
+    assert.equal(matchesETag(undefined, entry), false);
+});
+
+test('sendEntry answers a matching If-None-Match with 304', () => {
+    const res = createResponse();
+    const status = sendEntry({ headers: { 'if-none-match': 'W/"abc123-br"' } }, res, createEntry(), {});
+
+    assert.equal(status, 304);
+    assert.equal(res.body, undefined);
+});
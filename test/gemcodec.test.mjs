@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { decodeGem, GEM_EXTENSION } from '../server/gemdecoder.js';
+import { encodeGem } from '../server/gemencoder.js';
+
+// Value read from one of the runtime's extensions
+function runtimeExtension(type, value) {
+    return Object.defineProperty(value, GEM_EXTENSION, { value: type });
+}
+
+test('the gems shipped in assets/gems survive a decode/encode round trip', () => {
+    const dir = new URL('../assets/gems/', import.meta.url);
+    const gems = fs.readdirSync(dir).filter(file => file.endsWith('.gem'));
+    assert.ok(gems.length > 0);
+
+    gems.forEach(file => {
+        const document = decodeGem(fs.readFileSync(new URL(file, dir)));
+        const data = encodeGem(document);
+        assert.deepEqual(decodeGem(data), document, file);
+
+        // Encoding is deterministic, so re-encoding changes nothing
+        assert.deepEqual(encodeGem(decodeGem(data)), data, file);
+    });
+});
+
+test('numbers, strings and the structured clone types round trip', () => {
+    const document = {
+        numbers: [0, -1, -33, 127, 255, 65536, -70000, 2 ** 40, 1.5, -0.25],
+        text: ['', 'gem', 'é'.repeat(300)],
+        flags: [true, false, null, undefined],
+        positions: new Float32Array([0, 1.5, -2]),
+        indices: new Uint16Array([0, 1, 2]),
+        image: Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+        tags: new Set(['gem', 'ring']),
+        created: new Date(1700000000000),
+        pattern: /ge+m/gi
+    };
+
+    assert.deepEqual(decodeGem(encodeGem(document)), document);
+});
+
+test('objects sharing keys and values reachable twice come back shared', () => {
+    const material = { color: [1, 0.5, 0], roughness: 0.2 };
+    const document = {
+        objects: Array.from({ length: 100 }, (_, i) => ({ name: `object${i}`, material }))
+    };
+    const decoded = decodeGem(encodeGem(document));
+
+    assert.deepEqual(decoded, document);
+    assert.equal(decoded.objects[0].material, decoded.objects[99].material);
+});
+
+test('values from the runtime extensions keep their extension type', () => {
+    const document = {
+        position: runtimeExtension(1, { x: 1, y: 2, z: 3 }),
+        matrix: runtimeExtension(2, [1, 0, 0, 1]),
+        target: runtimeExtension(4, { $id: 'abc' }),
+        payload: runtimeExtension(5, { $data: 'xyz' })
+    };
+    const decoded = decodeGem(encodeGem(document));
+
+    assert.deepEqual(decoded, document);
+    Object.keys(document).forEach(key => {
+        assert.equal(decoded[key][GEM_EXTENSION], document[key][GEM_EXTENSION], key);
+    });
+});
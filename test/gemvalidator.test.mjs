@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+    validateGem,
+    compareVersions,
+    GemValidationError,
+    GemValidationCodes,
+    RUNTIME_VERSION,
+    EXPECTED_VARIABLES
+} from '../shared_js/gemvalidator.mjs';
+import { decodeGem } from '../server/gemdecoder.js';
+
+const codes = GemValidationCodes;
+
+// Smallest document the player can drive: a camera, a gem, a fullscreen frame and the variables
+function createDocument(overrides = {}) {
+    return {
+        version: RUNTIME_VERSION,
+        scene: {
+            objects: [
+                { data: { name: 'camera' } },
+                { data: { name: 'group' }, children: [{ data: { name: 'gem' } }] }
+            ]
+        },
+        frames: { main: { preset: 'fullscreen' } },
+        shared: { variables: EXPECTED_VARIABLES.map(name => ({ data: { name, value: 0 } })) },
+        ...overrides
+    };
+}
+
+function errorCodes(result) {
+    return result.errors.map(error => error.code);
+}
+
+test('a complete document is valid, finding objects nested in the scene tree', () => {
+    assert.deepEqual(validateGem(createDocument()), { valid: true, errors: [], warnings: [] });
+});
+
+test('anything but a scene document is invalid', () => {
+    [null, undefined, 'gem', {}, { version: RUNTIME_VERSION }].forEach(document => {
+        assert.deepEqual(errorCodes(validateGem(document)), [codes.INVALID_DOCUMENT]);
+    });
+});
+
+test('a missing camera or gem object is an error', () => {
+    const withoutCamera = createDocument({
+        scene: { objects: [{ data: { name: 'gem' } }] }
+    });
+    const result = validateGem(withoutCamera);
+    assert.equal(result.valid, false);
+    assert.deepEqual(errorCodes(result), [codes.MISSING_OBJECT]);
+    assert.match(result.errors[0].message, /"camera"/);
+
+    const withoutBoth = createDocument({ scene: { objects: [] } });
+    assert.deepEqual(errorCodes(validateGem(withoutBoth)), [codes.MISSING_OBJECT, codes.MISSING_OBJECT]);
+});
+
+test('object names from the runtime take the place of the scene tree', () => {
+    const document = createDocument({ scene: { objects: [] } });
+    assert.equal(validateGem(document, { names: ['camera', 'gem'] }).valid, true);
+    assert.equal(validateGem(createDocument(), { names: ['camera'] }).valid, false);
+});
+
+test('a runtime version newer than the bundled runtime is an error; a missing one a warning', () => {
+    const newer = validateGem(createDocument({ version: '1.10.0' }));
+    assert.deepEqual(errorCodes(newer), [codes.UNSUPPORTED_VERSION]);
+
+    assert.equal(validateGem(createDocument({ version: '1.9.0' })).valid, true);
+
+    const unversioned = validateGem(createDocument({ version: undefined }));
+    assert.equal(unversioned.valid, true);
+    assert.deepEqual(unversioned.warnings.map(warning => warning.code), [codes.MISSING_VERSION]);
+});
+
+test('compareVersions compares dotted versions numerically', () => {
+    assert.ok(compareVersions('1.10.0', '1.9.80') > 0);
+    assert.ok(compareVersions('1.9', '1.9.1') < 0);
+    assert.equal(compareVersions('1.9.0', '1.9'), 0);
+});
+
+test('frames must exist and use the fullscreen preset', () => {
+    assert.deepEqual(errorCodes(validateGem(createDocument({ frames: {} }))), [codes.MISSING_FRAME]);
+    assert.deepEqual(errorCodes(validateGem(createDocument({ frames: { main: { preset: 'desktop' } } }))),
+        [codes.UNSUPPORTED_FRAME_PRESET]);
+});
+
+test('variables need a unique name and a plain value; expected ones missing are warnings', () => {
+    const document = createDocument({
+        shared: {
+            variables: [
+                { data: { name: 'gemPositionX', value: 0 } },
+                { data: { name: 'gemPositionX', value: 1 } },
+                { data: { value: 2 } },
+                { data: { name: 'color', value: { r: 1 } } }
+            ]
+        }
+    });
+    const result = validateGem(document);
+
+    assert.deepEqual(errorCodes(result), [codes.INVALID_VARIABLE, codes.INVALID_VARIABLE, codes.INVALID_VARIABLE]);
+    assert.equal(result.warnings.length, EXPECTED_VARIABLES.length - 1);
+    assert.ok(result.warnings.every(warning => warning.code === codes.MISSING_VARIABLE));
+});
+
+test('GemValidationError carries the first error code and every error', () => {
+    const result = validateGem(createDocument({ version: '2.0.0', scene: { objects: [] } }));
+    const error = new GemValidationError(result);
+
+    assert.equal(error.code, codes.UNSUPPORTED_VERSION);
+    assert.equal(error.errors.length, 3);
+    assert.match(error.message, /newer than the runtime.*; Gem has no object named "camera"/);
+});
+
+test('the gems shipped in assets/gems are valid', () => {
+    const dir = new URL('../assets/gems/', import.meta.url);
+    const gems = fs.readdirSync(dir).filter(file => file.endsWith('.gem'));
+    assert.ok(gems.length > 0);
+
+    gems.forEach(file => {
+        const result = validateGem(decodeGem(fs.readFileSync(new URL(file, dir))));
+        assert.deepEqual(result.errors, [], file);
+    });
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LRUCache } from '../server/lrucache.js';
+
+// Cache of strings sized by their length
+function createCache(maxBytes) {
+    return new LRUCache({ maxBytes, sizeOf: value => value.length });
+}
+
+test('the least recently used entries are evicted first', () => {
+    const cache = createCache(10);
+    cache.set('a', 'aaaa').set('b', 'bbbb');
+
+    // Reading a makes b the least recently used
+    cache.get('a');
+    cache.set('c', 'cccc');
+
+    assert.deepEqual(cache.entries().map(entry => entry.key), ['a', 'c']);
+    assert.equal(cache.bytes, 8);
+    assert.equal(cache.has('b'), false);
+});
+
+test('peek and has leave recency alone', () => {
+    const cache = createCache(10);
+    cache.set('a', 'aaaa').set('b', 'bbbb');
+
+    assert.equal(cache.peek('a'), 'aaaa');
+    assert.equal(cache.has('a'), true);
+    cache.set('c', 'cccc');
+
+    assert.deepEqual(cache.entries().map(entry => entry.key), ['b', 'c']);
+});
+
+test('replacing an entry and updating its size keep the byte count', () => {
+    const cache = createCache(10);
+    const value = { length: 2 };
+    cache.set('a', 'aaaa').set('b', value);
+    cache.set('a', 'aa');
+    assert.equal(cache.bytes, 4);
+
+    // b grew (e.g. its compressed variants arrived) past the budget; replacing a made b
+    // the least recently used, so b itself goes
+    value.length = 9;
+    cache.updateSize('b');
+    assert.equal(cache.bytes, 2);
+    assert.deepEqual(cache.entries().map(entry => entry.key), ['a']);
+});
+
+test('pinned entries are never evicted and survive a plain clear', () => {
+    const cache = createCache(10);
+    cache.set('pinned', 'pppppp');
+    cache.pin('pinned');
+    cache.set('a', 'aaaa').set('b', 'bbbb');
+
+    // Over budget, the unpinned entries go even though the pinned one is older
+    assert.deepEqual(cache.entries().map(entry => entry.key), ['pinned', 'b']);
+    assert.equal(cache.entries()[0].pinned, true);
+
+    // Pinning outlives replacing the entry
+    cache.set('pinned', 'PPPPPP');
+    assert.equal(cache.isPinned('pinned'), true);
+
+    assert.equal(cache.clear(), 1);
+    assert.deepEqual(cache.entries().map(entry => entry.key), ['pinned']);
+    assert.equal(cache.clear({ includePinned: true }), 1);
+    assert.equal(cache.size, 0);
+});
+
+test('unpinning evicts an entry that no longer fits', () => {
+    const cache = createCache(4);
+    cache.pin('big');
+    cache.set('big', 'bbbbbbbb');
+    assert.equal(cache.size, 1);
+
+    cache.unpin('big');
+    assert.equal(cache.size, 0);
+    assert.equal(cache.bytes, 0);
+});
+
+test('stats count hits, misses and evictions', () => {
+    const cache = createCache(8);
+    cache.set('a', 'aaaa');
+    cache.get('a');
+    cache.get('a');
+    cache.get('missing');
+    cache.set('b', 'bbbb').set('c', 'ccc');
+    cache.pin('c');
+
+    assert.deepEqual(cache.stats, {
+        entries: 2,
+        bytes: 7,
+        maxBytes: 8,
+        pinned: 1,
+        hits: 2,
+        misses: 1,
+        evictions: 1,
+        evictedBytes: 4
+    });
+    assert.equal(cache.entries().find(entry => entry.key === 'b').hits, 0);
+});
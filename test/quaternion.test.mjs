@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Quaternion } from '../shared_js/quaternion.mjs';
+
+const EPSILON = 1e-9;
+
+// Whether two quaternions are the same rotation (q and -q both count)
+function assertSameRotation(actual, expected, message) {
+    assert.ok(Math.abs(Math.abs(Quaternion.dot(actual, expected)) - 1) < EPSILON,
+        `${message}: ${JSON.stringify(actual)} is not ${JSON.stringify(expected)}`);
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < EPSILON, `${message}: ${actual} is not ${expected}`);
+}
+
+test('slerp returns the start at t=0 and the end at t=1', () => {
+    const a = Quaternion.fromEuler({ x: 0.3, y: -0.8, z: 0.1 });
+    const b = Quaternion.fromEuler({ x: -1.2, y: 0.5, z: 2 });
+
+    assertSameRotation(Quaternion.slerp(a, b, 0), a, 't=0');
+    assertSameRotation(Quaternion.slerp(a, b, 1), b, 't=1');
+});
+
+test('slerp takes the shortest path, also when the end is given as its negation', () => {
+    const a = Quaternion.identity();
+    const b = Quaternion.fromAxisAngle({ x: 0, y: 1, z: 0 }, Math.PI / 2);
+    const negated = { x: -b.x, y: -b.y, z: -b.z, w: -b.w };
+
+    [b, negated].forEach(end => {
+        const halfway = Quaternion.slerp(a, end, 0.5);
+        assertSameRotation(halfway, Quaternion.fromAxisAngle({ x: 0, y: 1, z: 0 }, Math.PI / 4), 'halfway');
+        assertClose(Quaternion.angleBetween(a, halfway), Math.PI / 4, 'angle from the start');
+    });
+});
+
+test('slerp between nearly equal rotations stays normalized', () => {
+    const a = Quaternion.fromEuler({ x: 0.1, y: 0.2, z: 0.3 });
+    const b = Quaternion.fromEuler({ x: 0.1, y: 0.2, z: 0.3001 });
+
+    const q = Quaternion.slerp(a, b, 0.5);
+    assertClose(Quaternion.dot(q, q), 1, 'length');
+});
+
+test('toEuler inverts fromEuler for canonical angles', () => {
+    const rotations = [
+        { x: 0, y: 0, z: 0 },
+        { x: 0.5, y: -0.3, z: 1.2 },
+        { x: -2.5, y: 1.4, z: -3 },
+        { x: 3, y: -1.5, z: 0.01 }
+    ];
+
+    rotations.forEach(rotation => {
+        const euler = Quaternion.toEuler(Quaternion.fromEuler(rotation));
+        ['x', 'y', 'z'].forEach(axis => assertClose(euler[axis], rotation[axis], `${axis} of ${JSON.stringify(rotation)}`));
+    });
+});
+
+test('fromEuler inverts toEuler, also past ±π/2 of y and at gimbal lock', () => {
+    const rotations = [
+        { x: 0.2, y: 2.5, z: -0.4 },
+        { x: 7, y: -4, z: 13 },
+        { x: 0.4, y: Math.PI / 2, z: 0.3 }
+    ];
+
+    rotations.forEach(rotation => {
+        const q = Quaternion.fromEuler(rotation);
+        assertSameRotation(Quaternion.fromEuler(Quaternion.toEuler(q)), q, JSON.stringify(rotation));
+    });
+});
+
+test('toEulerNear keeps accumulated turns and yaw past ±π/2', () => {
+    // Two and a quarter turns of y
+    const turns = { x: 0, y: 4.5 * Math.PI, z: 0 };
+    const near = Quaternion.toEulerNear(Quaternion.fromEuler(turns), turns);
+    ['x', 'y', 'z'].forEach(axis => assertClose(near[axis], turns[axis], axis));
+
+    // Turning on from 80° to 100° of y continues instead of flipping x and z by π
+    const previous = { x: 0, y: 80 * Math.PI / 180, z: 0 };
+    const next = Quaternion.toEulerNear(Quaternion.fromEuler({ x: 0, y: 100 * Math.PI / 180, z: 0 }), previous);
+    assertClose(next.x, 0, 'x');
+    assertClose(next.y, 100 * Math.PI / 180, 'y');
+    assertClose(next.z, 0, 'z');
+});
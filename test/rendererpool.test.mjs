@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RendererPool } from '../shared_js/rendererpool.mjs';
+
+// Stand-in for a gem-player: records the renderers it is granted and gives them up on request
+function createPlayer(name) {
+    return {
+        name,
+        isVisible: true,
+        renderer: null,
+        grantRenderer(renderer) {
+            this.renderer = renderer || { owner: name };
+        },
+        releaseRenderer() {
+            const renderer = this.renderer;
+            this.renderer = null;
+            return renderer;
+        }
+    };
+}
+
+test('players in view beyond maxActive wait instead of evicting players in view', () => {
+    const pool = new RendererPool(4);
+    const players = Array.from({ length: 12 }, (_, index) => createPlayer(`gem-${index}`));
+
+    players.forEach(player => pool.acquire(player));
+
+    assert.equal(pool.active.length, 4);
+    players.slice(0, 4).forEach(player => assert.ok(player.renderer, `${player.name} keeps its renderer`));
+    players.slice(4).forEach(player => {
+        assert.equal(player.renderer, null);
+        assert.ok(pool.isWaiting(player));
+    });
+});
+
+test('a holder scrolling out of view hands its renderer to the first player waiting', () => {
+    const pool = new RendererPool(2);
+    const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(createPlayer);
+    [a, b, c, d].forEach(player => pool.acquire(player));
+
+    const renderer = a.renderer;
+    a.isVisible = false;
+    pool.hide(a);
+
+    assert.equal(a.renderer, null);
+    assert.equal(c.renderer, renderer, 'the live renderer is reused, not recreated');
+    assert.deepEqual(pool.active, [b, c]);
+    assert.deepEqual(pool.waiting, [d]);
+});
+
+test('a player coming into view takes a renderer from a holder out of view', () => {
+    const pool = new RendererPool(2);
+    const [a, b, c] = ['a', 'b', 'c'].map(createPlayer);
+    pool.acquire(a);
+    pool.acquire(b);
+
+    a.isVisible = false;
+    pool.acquire(c);
+
+    assert.equal(a.renderer, null);
+    assert.deepEqual(c.renderer, { owner: 'a' });
+    assert.ok(b.renderer);
+    assert.deepEqual(pool.active, [b, c]);
+});
+
+test('a player leaving the page frees its place for the first player waiting', () => {
+    const pool = new RendererPool(1);
+    const [a, b, c] = ['a', 'b', 'c'].map(createPlayer);
+    [a, b, c].forEach(player => pool.acquire(player));
+
+    pool.release(a);
+
+    assert.deepEqual(b.renderer, { owner: 'b' });
+    assert.deepEqual(pool.active, [b]);
+    assert.deepEqual(pool.waiting, [c]);
+});
+
+test('a waiting player scrolling out of view leaves the line', () => {
+    const pool = new RendererPool(1);
+    const [a, b, c] = ['a', 'b', 'c'].map(createPlayer);
+    [a, b, c].forEach(player => pool.acquire(player));
+
+    b.isVisible = false;
+    pool.release(b);
+    pool.release(a);
+
+    assert.equal(b.renderer, null);
+    assert.ok(c.renderer);
+});
+
+test('a holder back in view when its renderer is handed over queues for the next one', () => {
+    const pool = new RendererPool(1);
+    const [a, b] = ['a', 'b'].map(createPlayer);
+    pool.acquire(a);
+    pool.acquire(b);
+
+    // Handed over while visible (e.g. visibility changed during the hand over)
+    pool.handOver(a, pool.waiting.shift());
+
+    assert.ok(b.renderer);
+    assert.ok(pool.isWaiting(a));
+
+    b.isVisible = false;
+    pool.hide(b);
+    assert.ok(a.renderer, 'the evicted player in view gets a renderer again');
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRequestPath, servedDirsFromEnv } from '../server/resolver.js';
+
+test('files in served directories and the root pages resolve inside the project', () => {
+    assert.deepEqual(resolveRequestPath('/shared/index.js'), { filePath: './shared/index.js' });
+    assert.deepEqual(resolveRequestPath('/assets/gems/My%20Gem.gem'), { filePath: './assets/gems/My Gem.gem' });
+    assert.deepEqual(resolveRequestPath('/index.html'), { filePath: './index.html' });
+    assert.deepEqual(resolveRequestPath('/shared/../shared_js/gemcache.js'), { filePath: './shared_js/gemcache.js' });
+});
+
+test('.. segments, plain or encoded, never leave the served directories', () => {
+    [
+        '/../package.json',
+        '/shared/../../etc/passwd',
+        '/%2e%2e/%2e%2e/etc/passwd',
+        '/shared/%2E%2E/%2E%2E/etc/passwd',
+        '/shared%2f..%2f..%2fetc%2fpasswd',
+        '/shared/../server.js'
+    ].forEach(urlPath => {
+        assert.deepEqual(resolveRequestPath(urlPath), { status: 404 }, urlPath);
+    });
+});
+
+test('NUL bytes, backslashes and malformed escapes are rejected as bad requests', () => {
+    [
+        '/shared/index.js%00.png',
+        '/shared/..%5c..%5cserver.js',
+        '/shared/%E0%A4%A'
+    ].forEach(urlPath => {
+        assert.deepEqual(resolveRequestPath(urlPath), { status: 400 }, urlPath);
+    });
+});
+
+test('hidden files and files outside the allow-list are not found', () => {
+    [
+        '/.env',
+        '/shared/.DS_Store',
+        '/assets/.git/config',
+        '/shared/%2eenv',
+        '/server.js',
+        '/package.json',
+        '/tools/gem-optimize.js'
+    ].forEach(urlPath => {
+        assert.deepEqual(resolveRequestPath(urlPath), { status: 404 }, urlPath);
+    });
+});
+
+test('served directories come from SERVED_DIRS', () => {
+    const servedDirs = servedDirsFromEnv({ SERVED_DIRS: 'shared, assets' });
+    assert.deepEqual(servedDirs, ['shared', 'assets']);
+
+    assert.deepEqual(resolveRequestPath('/shared_js/gemcache.js', servedDirs), { status: 404 });
+    assert.deepEqual(resolveRequestPath('/assets/icons/x.png', servedDirs), { filePath: './assets/icons/x.png' });
+});
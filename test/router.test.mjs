@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The router listens for popstate on the window
+globalThis.window = { addEventListener() {} };
+const { Router } = await import('../shared_js/router.mjs');
+
+// Router with the app's route table (see NavigationController)
+function createRouter() {
+    const router = new Router();
+    ['/gem/:slug', '/:label/:catalogNumber', '*'].forEach(pattern => {
+        router.addRoute(pattern, () => {});
+    });
+    return router;
+}
+
+function match(path) {
+    const result = createRouter().match(path);
+    return result && { pattern: result.route.pattern, params: result.params };
+}
+
+test('named parameters capture one segment, decoded', () => {
+    assert.deepEqual(match('/warp/195'), {
+        pattern: '/:label/:catalogNumber',
+        params: { label: 'warp', catalogNumber: '195' }
+    });
+    assert.deepEqual(match('/gem/caf%C3%A9'), { pattern: '/gem/:slug', params: { slug: 'café' } });
+    assert.deepEqual(match('/gem/blue-star/'), { pattern: '/gem/:slug', params: { slug: 'blue-star' } });
+});
+
+test('the first matching route wins', () => {
+    assert.equal(match('/gem/195').pattern, '/gem/:slug');
+});
+
+test('* captures the rest of the path', () => {
+    assert.deepEqual(match('/'), { pattern: '*', params: { '*': '/' } });
+    assert.deepEqual(match('/a/b/c'), { pattern: '*', params: { '*': '/a/b/c' } });
+    assert.deepEqual(match('/my%20gem'), { pattern: '*', params: { '*': '/my gem' } });
+});
+
+test('malformed escapes fall through to the * route undecoded', () => {
+    assert.deepEqual(match('/warp/%E0%A4%A'), { pattern: '*', params: { '*': '/warp/%E0%A4%A' } });
+    assert.deepEqual(match('/gem/%'), { pattern: '*', params: { '*': '/gem/%' } });
+});
+
+test('without a * route nothing matches', () => {
+    const router = new Router();
+    router.addRoute('/gem/:slug', () => {});
+
+    assert.equal(router.match('/gem/%E0%A4%A'), null);
+    assert.equal(router.match('/warp/195'), null);
+});
+
+test('compile escapes literal segments', () => {
+    const { regex, names } = Router.compile('/v1.0/:id');
+
+    assert.deepEqual(names, ['id']);
+    assert.ok(regex.test('/v1.0/7'));
+    assert.ok(!regex.test('/v1x0/7'));
+});
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Inspect a .gem file: version, frame presets, object tree, variables and embedded
+ * assets, and whether the objects the gem-player needs are present.
+ *
+ * Usage: node tools/gem-inspect.js [--json] file.gem [more.gem ...]
+ *
+ * Exits with status 1 when a file cannot be decoded or lacks the camera or gem object.
+ */
+const fs = require('fs');
+const path = require('path');
+const { decodeGem } = require('../server/gemdecoder');
+
+// Objects GemPlayer.init() looks up by name
+const REQUIRED_OBJECTS = ['camera', 'gem'];
+
+// Shared asset collections listed with their byte sizes
+const ASSET_COLLECTIONS = ['images', 'fonts', 'videos', 'audios'];
+
+/**
+ * Total bytes of binary data (buffers and typed arrays) inside a value
+ */
+function byteSize(value, seen = new Set()) {
+    if (ArrayBuffer.isView(value)) return value.byteLength;
+    if (value instanceof ArrayBuffer) return value.byteLength;
+    if (value === null || typeof value !== 'object' || seen.has(value)) return 0;
+
+    seen.add(value);
+    return Object.values(value).reduce((total, child) => total + byteSize(child, seen), 0);
+}
+
+/**
+ * Format a byte count for display (e.g. 1.9 MB)
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Build the object tree: { name, type, id, geometry, bytes, children }, where bytes
+ * counts the object's own binary data (geometry, textures embedded in its material)
+ */
+function objectTree(node) {
+    const data = node.data || {};
+    const geometry = data.geometry || null;
+    return {
+        name: data.name || null,
+        type: data.type || 'Unknown',
+        id: node.id,
+        geometry: geometry ? geometry.type : null,
+        bytes: byteSize(data),
+        children: (node.children || []).map(objectTree)
+    };
+}
+
+/**
+ * Flatten an object tree into a list (depth first, like the runtime's getAllObjects())
+ */
+function flattenTree(objects) {
+    return objects.reduce((all, object) => all.concat(object, flattenTree(object.children)), []);
+}
+
+/**
+ * Summarize a decoded gem document
+ */
+function inspectDocument(document) {
+    const scene = document.scene || {};
+    const shared = document.shared || {};
+
+    const frames = Object.entries(document.frames || {}).map(([id, frame]) => ({
+        id,
+        preset: frame.preset,
+        size: frame.size,
+        allowResponsive: Boolean(frame.allowResponsive)
+    }));
+
+    const objects = (scene.objects || []).map(objectTree);
+    const allObjects = flattenTree(objects);
+
+    const variables = (shared.variables || []).map(variable => ({
+        name: variable.data ? variable.data.name : null,
+        value: variable.data ? variable.data.value : undefined
+    }));
+
+    const assets = {};
+    ASSET_COLLECTIONS.forEach(collection => {
+        assets[collection] = Object.entries(shared[collection] || {}).map(([id, asset]) => ({
+            id,
+            name: asset && asset.name ? asset.name : null,
+            bytes: byteSize(asset)
+        }));
+    });
+
+    const required = REQUIRED_OBJECTS.map(name => {
+        const object = allObjects.find(entry => entry.name === name);
+        return { name, present: Boolean(object), type: object ? object.type : null };
+    });
+
+    return {
+        version: document.version || null,
+        schema: document.schema,
+        frames,
+        objects,
+        objectCount: allObjects.length,
+        variables,
+        materials: Object.keys(shared.materials || {}).length,
+        assets,
+        required
+    };
+}
+
+/**
+ * Print a summary for people
+ */
+function printSummary(file, fileSize, summary) {
+    const lines = [];
+    lines.push(`${path.basename(file)}  (${formatBytes(fileSize)})`);
+    lines.push(`Version: ${summary.version || 'unknown'} (schema ${summary.schema})`);
+
+    lines.push('', `Frames (${summary.frames.length})`);
+    summary.frames.forEach(frame => {
+        const size = Array.isArray(frame.size) ? frame.size.join('×') : '?';
+        lines.push(`  ${frame.preset || 'custom'}  ${size}${frame.allowResponsive ? '  responsive' : ''}  ${frame.id}`);
+    });
+
+    lines.push('', `Objects (${summary.objectCount})`);
+    const printObject = (object, depth) => {
+        const geometry = object.geometry ? `  ${object.geometry}` : '';
+        const bytes = object.bytes ? `  ${formatBytes(object.bytes)}` : '';
+        lines.push(`${'  '.repeat(depth + 1)}${object.type} ${JSON.stringify(object.name)}${geometry}${bytes}`);
+        object.children.forEach(child => printObject(child, depth + 1));
+    };
+    summary.objects.forEach(object => printObject(object, 0));
+
+    lines.push('', `Variables (${summary.variables.length})`);
+    summary.variables.forEach(variable => {
+        lines.push(`  ${variable.name} = ${JSON.stringify(variable.value)}`);
+    });
+
+    lines.push('', `Materials: ${summary.materials}`);
+
+    ASSET_COLLECTIONS.forEach(collection => {
+        const assets = summary.assets[collection];
+        const total = assets.reduce((sum, asset) => sum + asset.bytes, 0);
+        const title = collection.charAt(0).toUpperCase() + collection.slice(1);
+        lines.push('', `${title} (${assets.length}${assets.length ? `, ${formatBytes(total)}` : ''})`);
+        assets.forEach(asset => {
+            lines.push(`  ${asset.id}${asset.name ? `  ${JSON.stringify(asset.name)}` : ''}  ${formatBytes(asset.bytes)}`);
+        });
+    });
+
+    lines.push('', 'Player requirements');
+    summary.required.forEach(object => {
+        lines.push(object.present
+            ? `  ✓ ${object.name} (${object.type})`
+            : `  ✗ ${object.name} missing`);
+    });
+
+    console.log(lines.join('\n'));
+}
+
+function main(args) {
+    const json = args.includes('--json');
+    const files = args.filter(arg => !arg.startsWith('--'));
+
+    if (files.length === 0) {
+        console.error('Usage: node tools/gem-inspect.js [--json] file.gem [more.gem ...]');
+        return 2;
+    }
+
+    let status = 0;
+    const results = [];
+
+    files.forEach((file, index) => {
+        let data;
+        let summary;
+        try {
+            data = fs.readFileSync(file);
+            summary = inspectDocument(decodeGem(data));
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            status = 1;
+            return;
+        }
+
+        if (summary.required.some(object => !object.present)) {
+            status = 1;
+        }
+
+        if (json) {
+            results.push({ file, bytes: data.length, ...summary });
+        } else {
+            if (index > 0) console.log('');
+            printSummary(file, data.length, summary);
+        }
+    });
+
+    if (json) {
+        console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+    }
+    return status;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    byteSize,
+    formatBytes,
+    inspectDocument
+};
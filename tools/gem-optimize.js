@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+/**
+ * Shrink .gem files: share identical embedded buffers, recompress embedded JPEG and PNG
+ * images to WebP, strip unused shared assets and the watermark, then report before/after
+ * sizes against a per-gem size budget.
+ *
+ * Usage: node tools/gem-optimize.js [options] file.gem [more.gem ...]
+ *
+ *   --out <dir>         write the optimized gems into dir
+ *   --write             overwrite the input files with the optimized gems
+ *   --check             only compare the files as they are against the budget
+ *   --budget <size>     size budget per gem, e.g. 4MB or 3500KB (default 4MB)
+ *   --quality <0-100>   WebP quality for recompressed JPEG images (default 82)
+ *   --keep-watermark    keep the runtime's watermark image
+ *   --json              print the report as JSON
+ *
+ * Without --out or --write nothing is written and the savings are only reported.
+ *
+ * Images are recompressed with cwebp (libwebp), found on the PATH or through the CWEBP
+ * environment variable; without it images are left as they are. PNGs are re-encoded
+ * losslessly. KTX2 is not produced: the bundled runtime has no KTX2 loader, while it
+ * decodes WebP like any other embedded image.
+ *
+ * Mesh geometry isn't touched: gems describe meshes as parametric shapes, and imported
+ * meshes arrive Draco-compressed, already quantized. The br variant the server sends is
+ * reported too.
+ *
+ * Exits with status 1 when a file can't be read or ends up over the budget.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { decodeGem } = require('../server/gemdecoder');
+const { encodeGem } = require('../server/gemencoder');
+const { byteSize, formatBytes } = require('./gem-inspect');
+
+// Size budget per gem when --budget isn't given
+const DEFAULT_BUDGET = 4 * 1024 * 1024;
+
+// WebP quality for recompressed JPEG images
+const DEFAULT_QUALITY = 82;
+
+// Shared collections whose entries are dropped when nothing refers to them
+const ASSET_COLLECTIONS = ['images', 'fonts', 'videos', 'audios', 'materials'];
+
+// Shared image the runtime overlays as a watermark when present
+const WATERMARK_IMAGE = 'SplineWatermark';
+
+// Buffers smaller than this aren't worth a shared reference
+const MIN_SHARED_BYTES = 256;
+
+/**
+ * Parse a size like 4MB, 3500KB or 1048576 into bytes
+ */
+function parseSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i.exec(String(value).trim());
+    if (!match) throw new Error(`Invalid size: ${value}`);
+    const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+    return Math.round(parseFloat(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Visit every property of a document, depth first, as visitor(value, parent, key).
+ * Binary data isn't descended into and shared values are visited once.
+ */
+function walk(value, visitor, seen = new Set()) {
+    if (value === null || typeof value !== 'object' || ArrayBuffer.isView(value) || seen.has(value)) return;
+    seen.add(value);
+
+    Object.keys(value).forEach(key => {
+        visitor(value[key], value, key);
+        walk(value[key], visitor, seen);
+    });
+}
+
+/**
+ * Whether a string appears anywhere in the document outside of skip
+ */
+function isReferenced(document, strings, skip) {
+    let found = false;
+    walk(document, (value, parent, key) => {
+        if (found || value === skip) return;
+        if (typeof value === 'string' && strings.includes(value)) found = true;
+    }, new Set([skip]));
+    return found;
+}
+
+/**
+ * Remove the runtime's watermark image
+ */
+function stripWatermark(document) {
+    const images = document.shared && document.shared.images;
+    if (!images || !images[WATERMARK_IMAGE]) return { removed: false, saved: 0 };
+
+    const saved = byteSize(images[WATERMARK_IMAGE]);
+    delete images[WATERMARK_IMAGE];
+    return { removed: true, saved };
+}
+
+/**
+ * Remove shared assets nothing refers to by id or name. Removing one asset can leave
+ * another unused (an image only a removed material used), so this repeats until stable.
+ */
+function stripUnusedAssets(document, { keep = [] } = {}) {
+    const shared = document.shared || {};
+    const removed = [];
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        ASSET_COLLECTIONS.forEach(collection => {
+            const assets = shared[collection];
+            if (!assets || typeof assets !== 'object') return;
+
+            Object.keys(assets).forEach(id => {
+                if (keep.includes(id)) return;
+                const asset = assets[id];
+                const strings = asset && typeof asset.name === 'string' ? [id, asset.name] : [id];
+                if (isReferenced(document, strings, asset)) return;
+
+                removed.push({ collection, id, name: asset && asset.name ? asset.name : null, bytes: byteSize(asset) });
+                delete assets[id];
+                changed = true;
+            });
+        });
+    }
+
+    return { removed, saved: removed.reduce((total, asset) => total + asset.bytes, 0) };
+}
+
+/**
+ * Point identical embedded buffers at one copy, which the encoder then writes once as
+ * a shared reference (textures repeated across material layers are stored per layer)
+ */
+function shareDuplicateBuffers(document) {
+    const buffers = new Map();
+    let count = 0;
+    let saved = 0;
+
+    walk(document, (value, parent, key) => {
+        if (!(value instanceof Uint8Array) || value.length < MIN_SHARED_BYTES) return;
+
+        const hash = crypto.createHash('sha1').update(value).digest('hex');
+        const original = buffers.get(hash);
+        if (!original) {
+            buffers.set(hash, value);
+        } else if (original !== value) {
+            parent[key] = original;
+            count++;
+            saved += value.length;
+        }
+    });
+
+    return { count, saved };
+}
+
+/**
+ * Image format of embedded bytes from their signature
+ */
+function imageFormat(data) {
+    if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'jpeg';
+    if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4e && data[3] === 0x47) return 'png';
+    return null;
+}
+
+/**
+ * Find the cwebp encoder, or null when it isn't installed
+ */
+function findCwebp() {
+    const command = process.env.CWEBP || 'cwebp';
+    const result = spawnSync(command, ['-version'], { encoding: 'utf8' });
+    return result.status === 0 ? command : null;
+}
+
+/**
+ * Encode image bytes to WebP with cwebp; returns null when it fails
+ */
+function encodeWebP(cwebp, data, format, quality) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gem-optimize-'));
+    try {
+        const input = path.join(dir, `image.${format === 'png' ? 'png' : 'jpg'}`);
+        const output = path.join(dir, 'image.webp');
+        fs.writeFileSync(input, data);
+
+        const options = format === 'png' ? ['-lossless'] : ['-q', String(quality)];
+        const result = spawnSync(cwebp, ['-quiet', '-metadata', 'none', ...options, input, '-o', output]);
+        return result.status === 0 ? fs.readFileSync(output) : null;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Recompress embedded JPEG and PNG images to WebP, keeping each only when it's smaller
+ */
+function recompressImages(document, { cwebp, quality }) {
+    if (!cwebp) return { skipped: 'cwebp not found', count: 0, saved: 0 };
+
+    // Encode each distinct buffer once; shared copies point at the same replacement
+    const replacements = new Map();
+    let count = 0;
+    let saved = 0;
+
+    walk(document, (value, parent, key) => {
+        if (!(value instanceof Uint8Array)) return;
+
+        if (!replacements.has(value)) {
+            const format = imageFormat(value);
+            const webp = format ? encodeWebP(cwebp, value, format, quality) : null;
+            const replacement = webp && webp.length < value.length ? new Uint8Array(webp) : null;
+            replacements.set(value, replacement);
+            if (replacement) {
+                count++;
+                saved += value.length - replacement.length;
+            }
+        }
+
+        const replacement = replacements.get(value);
+        if (replacement) {
+            parent[key] = replacement;
+        }
+    });
+
+    return { skipped: null, count, saved };
+}
+
+/**
+ * Size of the br variant the server would send (same settings as server/delivery.js)
+ */
+function brotliSize(data) {
+    return zlib.brotliCompressSync(data, {
+        params: {
+            [zlib.constants.BROTLI_PARAM_QUALITY]: 9,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+        }
+    }).length;
+}
+
+/**
+ * Optimize gem file bytes; returns { data, report }
+ */
+function optimizeGem(input, { quality = DEFAULT_QUALITY, keepWatermark = false, cwebp = null } = {}) {
+    const document = decodeGem(input);
+
+    const watermark = keepWatermark ? { removed: false, saved: 0 } : stripWatermark(document);
+    const unused = stripUnusedAssets(document, { keep: keepWatermark ? [WATERMARK_IMAGE] : [] });
+    const duplicates = shareDuplicateBuffers(document);
+    const images = recompressImages(document, { cwebp, quality });
+
+    const data = encodeGem(document);
+
+    // The result must decode again before anything is written
+    decodeGem(data);
+
+    return {
+        data,
+        report: {
+            before: input.length,
+            after: data.length,
+            brotliBefore: brotliSize(input),
+            brotliAfter: brotliSize(data),
+            watermark,
+            unused,
+            duplicates,
+            images
+        }
+    };
+}
+
+/**
+ * Print a file's report for people
+ */
+function printReport(file, report, budget) {
+    const lines = [path.basename(file)];
+
+    if (report.duplicates) {
+        const { duplicates, images, unused, watermark } = report;
+        lines.push(`  Shared duplicate buffers  ${duplicates.count}  -${formatBytes(duplicates.saved)}`);
+        lines.push(images.skipped
+            ? `  Recompressed images       skipped (${images.skipped})`
+            : `  Recompressed images       ${images.count}  -${formatBytes(images.saved)}`);
+        lines.push(`  Removed unused assets     ${unused.removed.length}  -${formatBytes(unused.saved)}`);
+        unused.removed.forEach(asset => {
+            lines.push(`    ${asset.collection}/${asset.id}${asset.name ? `  ${JSON.stringify(asset.name)}` : ''}  ${formatBytes(asset.bytes)}`);
+        });
+        lines.push(`  Removed watermark         ${watermark.removed ? `yes  -${formatBytes(watermark.saved)}` : 'no'}`);
+        lines.push(`  Size  ${formatBytes(report.before)} -> ${formatBytes(report.after)}` +
+            `  (br ${formatBytes(report.brotliBefore)} -> ${formatBytes(report.brotliAfter)})`);
+    } else {
+        lines.push(`  Size  ${formatBytes(report.after)}`);
+    }
+
+    lines.push(report.after <= budget
+        ? `  ✓ within the ${formatBytes(budget)} budget`
+        : `  ✗ over the ${formatBytes(budget)} budget by ${formatBytes(report.after - budget)}`);
+
+    console.log(lines.join('\n'));
+}
+
+/**
+ * Read the value following an option (e.g. --budget 4MB)
+ */
+function optionValue(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) return undefined;
+    if (index + 1 >= args.length) throw new Error(`Missing value for ${name}`);
+    return args[index + 1];
+}
+
+function main(args) {
+    let options;
+    try {
+        options = {
+            out: optionValue(args, '--out'),
+            write: args.includes('--write'),
+            check: args.includes('--check'),
+            json: args.includes('--json'),
+            keepWatermark: args.includes('--keep-watermark'),
+            budget: parseSize(optionValue(args, '--budget') || DEFAULT_BUDGET),
+            quality: parseInt(optionValue(args, '--quality') || DEFAULT_QUALITY, 10)
+        };
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    // Everything that isn't an option or an option's value is a file
+    const valued = ['--out', '--budget', '--quality'];
+    const files = args.filter((arg, index) => !arg.startsWith('--') && !valued.includes(args[index - 1]));
+
+    if (files.length === 0) {
+        console.error('Usage: node tools/gem-optimize.js [--out dir | --write | --check] [--budget 4MB] ' +
+            '[--quality 82] [--keep-watermark] [--json] file.gem [more.gem ...]');
+        return 2;
+    }
+
+    const cwebp = options.check ? null : findCwebp();
+    if (!options.check && !cwebp && !options.json) {
+        console.error('cwebp not found (install libwebp or set CWEBP); images are left as they are');
+    }
+
+    let status = 0;
+    const results = [];
+
+    files.forEach((file, index) => {
+        let report;
+        try {
+            const input = fs.readFileSync(file);
+            if (options.check) {
+                report = { after: input.length };
+            } else {
+                const result = optimizeGem(input, { ...options, cwebp });
+                report = result.report;
+
+                if (options.write) {
+                    fs.writeFileSync(file, result.data);
+                } else if (options.out) {
+                    fs.mkdirSync(options.out, { recursive: true });
+                    fs.writeFileSync(path.join(options.out, path.basename(file)), result.data);
+                }
+            }
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            status = 1;
+            return;
+        }
+
+        if (report.after > options.budget) {
+            status = 1;
+        }
+
+        if (options.json) {
+            results.push({ file, budget: options.budget, ...report });
+        } else {
+            if (index > 0) console.log('');
+            printReport(file, report, options.budget);
+        }
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+    }
+    return status;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    optimizeGem
+};